@@ -3,11 +3,39 @@
  * Represents a city in the game
  */
 
+const Rules = require('../utils/RulesRegistry');
+
+// Food each citizen eats per turn
+const FOOD_PER_CITIZEN = 2;
+
+// Food box of a size 1 city, and how much it grows with each citizen
+const BASE_FOOD_FOR_GROWTH = 15;
+const FOOD_FOR_GROWTH_MULTIPLIER = 1.4;
+
+// Yields each specialist adds to its city every turn
+const SPECIALIST_YIELDS = {
+  scientist: { science: 3, gold: 1 },
+  merchant: { gold: 3, production: 1 },
+  artist: { culture: 3, science: 1 }
+};
+
 class City {
-  constructor(owner, x, y, name = null) {
+  /**
+   * @param {number} owner - Player ID that owns the city
+   * @param {number} x - Column of the city
+   * @param {number} y - Row of the city
+   * @param {string|null} name - City name; picked from random when omitted
+   * @param {Random|null} random - The game's gameplay stream, required when no name is given
+   */
+  constructor(owner, x, y, name = null, random = null) {
+    if (!name && !random) {
+      // A stream seeded here would make the game impossible to replay from its seed
+      throw new Error('A city without a name needs the gameplay random stream to pick one');
+    }
+    
     this.owner = owner; // Player ID that owns the city
     this.position = { x, y };
-    this.name = name || this.generateRandomName();
+    this.name = name || this.generateRandomName(random);
     this.population = 1;
     this.health = 100;
     this.maxHealth = 100;
@@ -18,6 +46,7 @@ class City {
     this.gold = 0;
     this.science = 0;
     this.culture = 0;
+    this.cultureStored = 0; // Culture accumulated over the city's life; pushes its borders outward
     
     // City defenses
     this.defense = 3; // Base defense value
@@ -32,12 +61,15 @@ class City {
     
     // Production queue
     this.productionQueue = [];
+    this.productionStored = 0; // Production spent on the head of the queue, including overflow
     
     // Tiles worked by the city
     this.workedTiles = [];
+    this.lockedTiles = []; // Tiles the player keeps worked whatever the governor prefers
+    this.focus = 'balanced'; // Governor focus: balanced, food, production, gold, science or culture
     
     // Growth requirements
-    this.foodNeededForGrowth = 15;
+    this.foodNeededForGrowth = City.getFoodNeededForGrowth(this.population);
     this.foodStored = 0;
     
     // Expansion
@@ -54,18 +86,19 @@ class City {
 
   /**
    * Generate a random name for the city
+   * @param {Random} random - Random stream to draw from (the game's gameplay stream)
    */
-  generateRandomName() {
+  generateRandomName(random) {
     const prefixes = ['New', 'Great', 'Fort', 'Port', 'Mount', 'Lake', 'River', 'Valley', 'Green', 'Golden'];
     const roots = ['York', 'Paris', 'Rome', 'Athens', 'Alexandria', 'London', 'Berlin', 'Madrid', 'Vienna', 'Dublin'];
     const suffixes = ['City', 'Town', 'Vale', 'Field', 'Bridge', 'Gate', 'Haven', 'Falls', 'Point', 'Bay'];
     
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const root = roots[Math.floor(Math.random() * roots.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefix = random.pick(prefixes);
+    const root = random.pick(roots);
+    const suffix = random.pick(suffixes);
     
     // Sometimes use just prefix+root, sometimes prefix+root+suffix
-    if (Math.random() > 0.5) {
+    if (random.next() > 0.5) {
       return `${prefix} ${root}`;
     } else {
       return `${prefix} ${root} ${suffix}`;
@@ -98,147 +131,63 @@ class City {
   }
 
   /**
-   * Apply effects of a building
+   * Apply effects of a building, as defined in buildings.json
    */
   applyBuildingEffects(buildingType) {
-    switch(buildingType) {
-      case 'granary':
-        this.food += 2;
-        break;
-      case 'workshop':
-        this.production += 2;
-        break;
-      case 'market':
-        this.gold += 3;
-        break;
-      case 'library':
-        this.science += 2;
-        break;
-      case 'temple':
-        this.culture += 2;
-        break;
-      case 'barracks':
-        this.defense += 2;
-        break;
-      case 'walls':
-        this.defense += 5;
-        this.maxHealth += 50;
-        this.health = this.maxHealth; // Restore health when walls are built
-        break;
-      case 'harbor':
-        this.gold += 2;
-        this.production += 1;
-        break;
-      case 'university':
-        this.science += 3;
-        this.culture += 1;
-        break;
-      case 'bank':
-        this.gold += 4;
-        break;
-      case 'factory':
-        this.production += 4;
-        this.science += 1;
-        break;
-      case 'observatory':
-        this.science += 4;
-        break;
-      case 'theater':
-        this.culture += 3;
-        break;
-      case 'monument':
-        this.culture += 2;
-        break;
-      case 'seaport':
-        this.gold += 3;
-        this.production += 2;
-        break;
-      case 'airport':
-        this.gold += 2;
-        this.science += 2;
-        break;
-      case 'spaceship_factory':
-        this.production += 5;
-        this.science += 3;
-        break;
-    }
-  }
-
-  /**
-   * Remove effects of a building
+    const definition = Rules.getBuildingDefinition(buildingType);
+    if (!definition) return;
+
+    for (const [resource, amount] of Object.entries(definition.yields || {})) {
+      this[resource] += amount;
+    }
+
+    this.defense += definition.defense || 0;
+    if (definition.max_health) {
+      this.maxHealth += definition.max_health;
+      this.health = this.maxHealth; // Restore health when defenses are built
+    }
+  }
+
+  /**
+   * Remove effects of a building, as defined in buildings.json
    */
   removeBuildingEffects(buildingType) {
-    switch(buildingType) {
-      case 'granary':
-        this.food -= 2;
-        break;
-      case 'workshop':
-        this.production -= 2;
-        break;
-      case 'market':
-        this.gold -= 3;
-        break;
-      case 'library':
-        this.science -= 2;
-        break;
-      case 'temple':
-        this.culture -= 2;
-        break;
-      case 'barracks':
-        this.defense -= 2;
-        break;
-      case 'walls':
-        this.defense -= 5;
-        this.maxHealth -= 50;
-        // Ensure health doesn't exceed new max
-        this.health = Math.min(this.health, this.maxHealth);
-        break;
-      case 'harbor':
-        this.gold -= 2;
-        this.production -= 1;
-        break;
-      case 'university':
-        this.science -= 3;
-        this.culture -= 1;
-        break;
-      case 'bank':
-        this.gold -= 4;
-        break;
-      case 'factory':
-        this.production -= 4;
-        this.science -= 1;
-        break;
-      case 'observatory':
-        this.science -= 4;
-        break;
-      case 'theater':
-        this.culture -= 3;
-        break;
-      case 'monument':
-        this.culture -= 2;
-        break;
-      case 'seaport':
-        this.gold -= 3;
-        this.production -= 2;
-        break;
-      case 'airport':
-        this.gold -= 2;
-        this.science -= 2;
-        break;
-      case 'spaceship_factory':
-        this.production -= 5;
-        this.science -= 3;
-        break;
+    const definition = Rules.getBuildingDefinition(buildingType);
+    if (!definition) return;
+
+    for (const [resource, amount] of Object.entries(definition.yields || {})) {
+      this[resource] -= amount;
+    }
+
+    this.defense -= definition.defense || 0;
+    if (definition.max_health) {
+      this.maxHealth -= definition.max_health;
+      // Ensure health doesn't exceed new max
+      this.health = Math.min(this.health, this.maxHealth);
     }
   }
 
+  /**
+   * Get the per-turn yields of all the city's buildings
+   * @returns {Object} Yields by resource
+   */
+  getBuildingYields() {
+    const yields = {};
+    for (const buildingType of this.buildings) {
+      for (const [resource, amount] of Object.entries(Rules.getBuildingYields(buildingType))) {
+        yields[resource] = (yields[resource] || 0) + amount;
+      }
+    }
+    return yields;
+  }
+
   /**
    * Add a specialist to the city
+   * Its yields are added in processTurn
    */
   addSpecialist(type) {
-    if (['scientist', 'merchant', 'artist'].includes(type)) {
+    if (SPECIALIST_YIELDS[type]) {
       this.specialists[type]++;
-      this.applySpecialistEffect(type);
       return true;
     }
     return false;
@@ -248,56 +197,84 @@ class City {
    * Remove a specialist from the city
    */
   removeSpecialist(type) {
-    if (['scientist', 'merchant', 'artist'].includes(type) && this.specialists[type] > 0) {
+    if (SPECIALIST_YIELDS[type] && this.specialists[type] > 0) {
       this.specialists[type]--;
-      this.removeSpecialistEffect(type);
       return true;
     }
     return false;
   }
 
   /**
-   * Apply effect of a specialist
+   * Get the yields of each specialist type
+   * @returns {Object} Map of specialist type to yields by resource
    */
-  applySpecialistEffect(type) {
-    switch(type) {
-      case 'scientist':
-        this.science += 3;
-        this.gold += 1;
-        break;
-      case 'merchant':
-        this.gold += 3;
-        this.production += 1;
-        break;
-      case 'artist':
-        this.culture += 3;
-        this.science += 1;
-        break;
+  static getSpecialistYields() {
+    return SPECIALIST_YIELDS;
+  }
+
+  /**
+   * Get the food box of a city of the given size
+   * @param {number} population - City population
+   * @returns {number} Food needed to grow to the next size
+   */
+  static getFoodNeededForGrowth(population) {
+    let needed = BASE_FOOD_FOR_GROWTH;
+    for (let size = 1; size < population; size++) {
+      needed = Math.floor(needed * FOOD_FOR_GROWTH_MULTIPLIER);
+    }
+    return needed;
+  }
+
+  /**
+   * Get the food the city's citizens eat each turn
+   */
+  getFoodConsumption() {
+    return this.population * FOOD_PER_CITIZEN;
+  }
+
+  /**
+   * Get the food added to (or, if negative, taken from) the food box each turn
+   * A surplus is increased by the owner's city growth modifier
+   * @param {Player} player - Owner of the city, for its growth modifier
+   * @returns {number} Food per turn
+   */
+  getFoodPerTurn(player = null) {
+    const surplus = this.food - this.getFoodConsumption();
+    if (surplus <= 0 || !player) {
+      return surplus;
+    }
+    return Math.floor(surplus * (1 + player.modifiers.cityGrowth));
+  }
+
+  /**
+   * Get the turns until the city grows
+   * @param {Player} player - Owner of the city, for its growth modifier
+   * @returns {number|null} Turns, or null if the city is not growing
+   */
+  getTurnsToGrow(player = null) {
+    const foodPerTurn = this.getFoodPerTurn(player);
+    if (foodPerTurn <= 0) {
+      return null;
     }
+    return Math.max(1, Math.ceil((this.foodNeededForGrowth - this.foodStored) / foodPerTurn));
   }
 
   /**
-   * Remove effect of a specialist
+   * Get the share of the food box the city's buildings keep after it grows
    */
-  removeSpecialistEffect(type) {
-    switch(type) {
-      case 'scientist':
-        this.science -= 3;
-        this.gold -= 1;
-        break;
-      case 'merchant':
-        this.gold -= 3;
-        this.production -= 1;
-        break;
-      case 'artist':
-        this.culture -= 3;
-        this.science -= 1;
-        break;
+  getFoodKept() {
+    let kept = 0;
+    for (const building of this.buildings) {
+      const definition = Rules.getBuildingDefinition(building);
+      kept += (definition && definition.food_kept) || 0;
     }
+    return Math.min(1, kept);
   }
 
   /**
    * Add food to the city's storage
+   * A full food box grows the city; an empty one starves it
+   * @param {number} amount - Food to add, negative when the city eats more than it produces
    */
   addFood(amount) {
     this.foodStored += amount;
@@ -305,18 +282,24 @@ class City {
     // Check if city grows
     if (this.foodStored >= this.foodNeededForGrowth) {
       this.growPopulation();
+    } else if (this.foodStored < 0) {
+      this.starvePopulation();
     }
   }
 
   /**
    * Grow the city's population
+   * Buildings such as the granary keep part of the food box
    */
   growPopulation() {
+    const kept = Math.floor(this.foodNeededForGrowth * this.getFoodKept());
+    
     this.population++;
     this.foodStored -= this.foodNeededForGrowth;
+    this.foodStored += kept;
     
     // Increase food needed for next growth
-    this.foodNeededForGrowth = Math.floor(this.foodNeededForGrowth * 1.4);
+    this.foodNeededForGrowth = City.getFoodNeededForGrowth(this.population);
     
     // Expand city radius every few population increases
     if (this.population % 3 === 0 && this.tileRadius < 3) {
@@ -324,6 +307,20 @@ class City {
     }
   }
 
+  /**
+   * Shrink a starving city's population
+   * A size 1 city cannot shrink further and just keeps an empty food box
+   */
+  starvePopulation() {
+    this.foodStored = 0;
+    if (this.population <= 1) {
+      return;
+    }
+    
+    this.population--;
+    this.foodNeededForGrowth = City.getFoodNeededForGrowth(this.population);
+  }
+
   /**
    * Expand the city's radius to work more tiles
    */
@@ -333,10 +330,15 @@ class City {
 
   /**
    * Set a tile to be worked by the city
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {Object} grid - Map grid topology used to measure the city radius
    */
-  assignTile(x, y) {
+  assignTile(x, y, grid = null) {
     // Check if tile is within city radius
-    const distance = Math.abs(this.position.x - x) + Math.abs(this.position.y - y);
+    const distance = grid
+      ? grid.getDistance(this.position.x, this.position.y, x, y)
+      : Math.abs(this.position.x - x) + Math.abs(this.position.y - y);
     if (distance <= this.tileRadius) {
       const tileKey = `${x},${y}`;
       if (!this.workedTiles.includes(tileKey)) {
@@ -360,10 +362,47 @@ class City {
     return false;
   }
 
+  /**
+   * Keep a tile worked when the governor reassigns citizens
+   */
+  lockTile(x, y) {
+    const tileKey = `${x},${y}`;
+    if (!this.lockedTiles.includes(tileKey)) {
+      this.lockedTiles.push(tileKey);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Let the governor choose freely for a tile again
+   */
+  unlockTile(x, y) {
+    const index = this.lockedTiles.indexOf(`${x},${y}`);
+    if (index !== -1) {
+      this.lockedTiles.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  isTileLocked(x, y) {
+    return this.lockedTiles.includes(`${x},${y}`);
+  }
+
+  /**
+   * Get the total number of specialists in the city
+   */
+  getSpecialistCount() {
+    return Object.values(this.specialists).reduce((total, count) => total + count, 0);
+  }
+
   /**
    * Calculate the yield from worked tiles
+   * @param {Array} map - Game map of Tile components ([x][y])
+   * @param {Object} player - Owner of the city (for technology terrain bonuses)
    */
-  calculateTileYields(terrainData) {
+  calculateTileYields(map, player = null) {
     // Reset yields
     this.food = 0;
     this.production = 0;
@@ -371,25 +410,20 @@ class City {
     this.science = 0;
     this.culture = 0;
     
+    if (!map) return;
+    
     // Calculate base yields from worked tiles
     for (const tileKey of this.workedTiles) {
       const [x, y] = tileKey.split(',').map(Number);
+      const tile = map[x] && map[x][y];
+      if (!tile) continue;
       
-      // This would normally access the actual terrain data
-      // For now, we'll use a simple calculation
-      if (x !== undefined && y !== undefined) {
-        // Base yields depend on terrain type
-        // This is simplified - in a real game, this would access the actual tile data
-        this.food += 2;
-        this.production += 1;
-        this.gold += 0.5;
-        this.science += 0.5;
-        this.culture += 0.3;
+      for (const [resource, amount] of Object.entries(tile.getYields(player))) {
+        this[resource] += amount;
       }
     }
     
-    // Add yields from buildings and specialists
-    // These are already factored into the property values
+    // Yields from buildings, wonders and specialists are added in processTurn
   }
 
   /**
@@ -438,52 +472,101 @@ class City {
   }
 
   /**
-   * Apply effect of a wonder
+   * Apply the city-local effect of a wonder, as defined in wonders.json
+   * Empire-wide effects are applied by the WonderSystem
    */
   applyWonderEffect(wonderName) {
-    // Wonder effects would be implemented here
-    switch(wonderName) {
-      case 'great_library':
-        this.science += 5;
-        break;
-      case 'colossus':
-        this.gold += 3;
-        break;
-      case 'lighthouse':
-        this.defense += 3;
-        break;
-      case 'hanging_gardens':
-        this.food += 4;
-        break;
-      case 'oracle':
-        this.culture += 5;
-        break;
-      case 'pyramids':
-        this.production += 4;
-        break;
-      case 'great_wall':
-        this.defense += 10;
-        break;
-      case 'statue_of_zeus':
-        this.defense += 5;
-        break;
+    const definition = Rules.getWonderDefinition(wonderName);
+    if (!definition) return;
+
+    for (const [resource, amount] of Object.entries(definition.yields || {})) {
+      this[resource] += amount;
     }
+
+    this.defense += definition.defense || 0;
+  }
+
+  /**
+   * Get the per-turn yields of all the city's wonders
+   * @returns {Object} Yields by resource
+   */
+  getWonderYields() {
+    const yields = {};
+    for (const wonderName of this.wondersBuilt) {
+      const definition = Rules.getWonderDefinition(wonderName);
+      for (const [resource, amount] of Object.entries(definition ? definition.yields : {})) {
+        yields[resource] = (yields[resource] || 0) + amount;
+      }
+    }
+    return yields;
   }
 
   /**
    * Check if city can build something
+   * Buildings and wonders need their required technology and, when
+   * coastal_only, a coastal city; buildings also need their required buildings.
+   * Whether a wonder was already built elsewhere is checked by the WonderSystem
+   * @param {string} itemType - Unit type, building or wonder key
+   * @param {Object} context - { technologies, isCoastal } of the city and its owner
+   * @returns {Object} { success: true } or { success: false, error }
    */
-  canBuild(itemType) {
-    // This would check if the city has required buildings, techs, etc.
-    // For now, just return true
-    return true;
+  canBuild(itemType, context = {}) {
+    const technologies = context.technologies || [];
+
+    if (Rules.hasUnit(itemType)) {
+      const requiredTech = Rules.getRequiredTech(itemType);
+      if (requiredTech && !technologies.includes(requiredTech)) {
+        return { success: false, error: `${itemType} requires ${requiredTech}` };
+      }
+      return { success: true };
+    }
+
+    const wonder = Rules.getWonderDefinition(itemType);
+    if (wonder) {
+      if (this.wondersBuilt.includes(itemType)) {
+        return { success: false, error: `${itemType} is already built in ${this.name}` };
+      }
+      if (wonder.required_tech && !technologies.includes(wonder.required_tech)) {
+        return { success: false, error: `${itemType} requires ${wonder.required_tech}` };
+      }
+      if (wonder.coastal_only && !context.isCoastal) {
+        return { success: false, error: `${itemType} can only be built in a coastal city` };
+      }
+      return { success: true };
+    }
+
+    const building = Rules.getBuildingDefinition(itemType);
+    if (!building) {
+      return { success: false, error: `Unknown production item ${itemType}` };
+    }
+
+    if (this.buildings.includes(itemType)) {
+      return { success: false, error: `${itemType} is already built in ${this.name}` };
+    }
+
+    if (building.required_tech && !technologies.includes(building.required_tech)) {
+      return { success: false, error: `${itemType} requires ${building.required_tech}` };
+    }
+
+    const missing = (building.required_buildings || []).filter(required => !this.buildings.includes(required));
+    if (missing.length > 0) {
+      return { success: false, error: `${itemType} requires ${missing.join(', ')} in ${this.name}` };
+    }
+
+    if (building.coastal_only && !context.isCoastal) {
+      return { success: false, error: `${itemType} can only be built in a coastal city` };
+    }
+
+    return { success: true };
   }
 
   /**
    * Queue an item for production
+   * @param {string} itemType - Unit type, building or wonder key
+   * @param {Object} context - Build context passed to canBuild
    */
-  queueProduction(itemType) {
-    if (this.canBuild(itemType)) {
+  queueProduction(itemType, context = {}) {
+    if (this.canBuild(itemType, context).success) {
       this.productionQueue.push(itemType);
       return true;
     }
@@ -504,19 +587,32 @@ class City {
 
   /**
    * Process city turns - called each turn
+   * @param {Array} map - Game map of Tile components ([x][y])
+   * @param {Object} player - Owner of the city
    */
-  processTurn() {
+  processTurn(map = null, player = null) {
     // Calculate tile yields
-    // This would normally receive terrain data as parameter
-    this.calculateTileYields();
+    this.calculateTileYields(map, player);
+    
+    // Add building and wonder yields
+    for (const yields of [this.getBuildingYields(), this.getWonderYields()]) {
+      for (const [resource, amount] of Object.entries(yields)) {
+        this[resource] += amount;
+      }
+    }
     
     // Add specialist yields
-    this.science += this.specialists.scientist * 3;
-    this.gold += this.specialists.merchant * 3;
-    this.culture += this.specialists.artist * 3;
+    for (const [type, yields] of Object.entries(SPECIALIST_YIELDS)) {
+      for (const [resource, amount] of Object.entries(yields)) {
+        this[resource] += this.specialists[type] * amount;
+      }
+    }
+    
+    // Feed the citizens and store the surplus for growth
+    this.addFood(this.getFoodPerTurn(player));
     
-    // Add food to storage for growth
-    this.addFood(this.food);
+    // Accumulate culture for the city's borders
+    this.cultureStored += Math.max(0, this.culture);
     
     // Ensure positive values
     this.food = Math.max(0, this.food);
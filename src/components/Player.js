@@ -2,6 +2,12 @@
  * Player Component
  * Represents a player in the game
  */
+
+// Yields each city spends on itself, so they never reach the treasury: food
+// feeds the city's citizens and fills its food box (see City.addFood), and
+// production goes into its production queue (see ProductionSystem)
+const CITY_ONLY_YIELDS = ['food', 'production'];
+
 class Player {
   constructor(id, name, color, civilization) {
     this.id = id;
@@ -22,7 +28,29 @@ class Player {
     this.isHuman = true; // Whether this is a human or AI player
     this.victoryPoints = 0;
     this.techProgress = {}; // Progress toward researching technologies
+    this.currentResearch = null; // Technology currently being researched
+    this.era = 'ancient'; // Latest era reached through research
     this.hasTurn = false; // Whether it's currently this player's turn
+    this.visibility = null; // Per-tile fog of war state, maintained by the VisibilitySystem
+    this.tileMemory = null; // Per-tile state last seen of fogged tiles, maintained by the VisibilitySystem
+    this.lastIncome = null; // Itemized income collected at the end of the last turn
+
+    // Modifiers accumulated from technology effects
+    this.modifiers = {
+      resources: { gold: 0, food: 0, production: 0, science: 0, culture: 0 }, // Percentage bonuses
+      unitStats: {}, // unitType -> { stat: multiplier }
+      movement: {}, // unit group -> extra movement points
+      terrainYields: {}, // terrain type -> { resource: extra yield }
+      cityRange: 0,
+      cityGrowth: 0,
+      cityHealth: 0,
+      unitMaintenance: 0,
+      unitExperience: 0,
+      roadConnection: 0,
+      workerSpeed: 0,
+      tradeRoutes: 0,
+      diplomacy: 0
+    };
   }
 
   addResource(type, amount) {
@@ -89,6 +117,10 @@ class Player {
     return false;
   }
 
+  hasTechnology(techName) {
+    return this.technologies.includes(techName);
+  }
+
   researchTechnology(techName) {
     if (!this.technologies.includes(techName)) {
       this.technologies.push(techName);
@@ -105,37 +137,60 @@ class Player {
     return false;
   }
 
-  calculateTurnIncome() {
-    // Calculate income based on cities, improvements, and technologies
-    const income = {
-      gold: 0,
-      food: 0,
-      production: 0,
-      science: 0,
-      culture: 0
-    };
+  /**
+   * Calculate the income of a turn with an itemized breakdown
+   * @param {Array} cities - Per-city income sources as { cityId, name, yields, civilization, modifiers }:
+   *   the city's own yields, flat civilization yields and percentage modifiers
+   * @param {Object} upkeep - Upkeep keyed by resource, then by source (e.g. { gold: { buildings: 3, units: 2 } })
+   * @returns {Object} { cities, upkeep, total } where each city entry lists its
+   *   yields, civilization yields, percentage bonus and total; the player's
+   *   total leaves out CITY_ONLY_YIELDS
+   */
+  calculateTurnIncome(cities = [], upkeep = {}) {
+    const total = { gold: 0, food: 0, production: 0, science: 0, culture: 0 };
+    const breakdown = [];
+
+    for (const source of cities) {
+      const entry = {
+        cityId: source.cityId,
+        name: source.name,
+        yields: { ...total, ...source.yields },
+        civilization: { ...total, ...source.civilization },
+        bonus: {},
+        total: {}
+      };
+
+      for (const resource of Object.keys(total)) {
+        const base = entry.yields[resource] + entry.civilization[resource];
+        entry.bonus[resource] = Math.floor(base * ((source.modifiers && source.modifiers[resource]) || 0));
+        entry.total[resource] = base + entry.bonus[resource];
+        if (!CITY_ONLY_YIELDS.includes(resource)) {
+          total[resource] += entry.total[resource];
+        }
+      }
 
-    // Base income from cities
-    for (const cityId of this.cities) {
-      // Simplified calculation - in a real game, this would be more complex
-      income.gold += 5;
-      income.food += 4;
-      income.production += 3;
-      income.science += 2;
-      income.culture += 1;
+      breakdown.push(entry);
     }
 
-    // Additional income from units and improvements could be added here
+    // Upkeep is paid out of the turn's income
+    for (const [resource, sources] of Object.entries(upkeep)) {
+      for (const amount of Object.values(sources)) {
+        total[resource] -= amount;
+      }
+    }
 
-    return income;
+    return { cities: breakdown, upkeep, total };
   }
 
-  endTurn() {
-    // Collect income for the turn
-    const income = this.calculateTurnIncome();
-    for (const [resource, amount] of Object.entries(income)) {
+  /**
+   * End the player's turn and collect its income
+   * @param {Object} income - Result of calculateTurnIncome; kept as lastIncome for the UI
+   */
+  endTurn(income = this.calculateTurnIncome()) {
+    for (const [resource, amount] of Object.entries(income.total)) {
       this.resources[resource] += amount;
     }
+    this.lastIncome = income;
 
     this.hasTurn = false;
   }
@@ -2,14 +2,22 @@
  * Tile Component
  * Represents a tile on the game map
  */
+
+const Rules = require('../utils/RulesRegistry');
+
+const YIELD_TYPES = ['food', 'production', 'gold', 'science', 'culture'];
+
 class Tile {
   constructor(x, y, type = 'grass', terrainModifier = 1.0) {
     this.x = x;
     this.y = y;
     this.type = type; // grass, forest, mountain, water, etc.
-    this.terrainModifier = terrainModifier; // affects movement cost and combat
+    this.terrainModifier = terrainModifier; // movement cost of entering the tile
     this.resource = null;
     this.improvement = null;
+    this.river = false; // Whether a river flows through the tile
+    this.owner = null; // Player whose territory the tile is in
+    this.ownerCity = null; // ID of the city entity whose borders claim the tile
     this.unit = null;
     this.city = null;
     this.walkable = true;
@@ -18,7 +26,17 @@ class Tile {
 
   setType(type) {
     this.type = type;
-    // Adjust properties based on tile type
+
+    // Terrain properties come from data/terrains.json
+    const terrain = Rules.getTerrainDefinition(type);
+    if (terrain) {
+      this.walkable = terrain.passable;
+      this.terrainModifier = terrain.movement_cost;
+      this.defenseBonus = terrain.defense_bonus;
+      return;
+    }
+
+    // Legacy tile types that are not defined in terrains.json
     switch(type) {
       case 'water':
         this.walkable = false;
@@ -52,7 +70,49 @@ class Tile {
       'science': 2,
       'culture': 2
     };
-    return resourceValues[this.resource] || 0;
+    return resourceValues[this.resource.type] || 0;
+  }
+
+  /**
+   * Get the yield of one resource when the tile is worked
+   * Terrain base_yield from terrains.json, plus the tile's resource, its
+   * improvement and the working player's improve_terrain technologies
+   * @param {string} resourceType - food, production, gold, science or culture
+   * @param {Object} player - Player working the tile (for technology bonuses)
+   * @returns {number} Yield per turn
+   */
+  getYield(resourceType, player = null) {
+    const terrain = Rules.getTerrainDefinition(this.type);
+    let amount = terrain ? terrain.base_yield[resourceType] || 0 : 0;
+
+    if (this.resource && this.resource.type === resourceType) {
+      amount += this.getResourceValue();
+    }
+
+    const improvement = this.improvement ? Rules.getImprovementDefinition(this.improvement) : null;
+    if (improvement && improvement.yields) {
+      amount += improvement.yields[resourceType] || 0;
+    }
+
+    const terrainYields = player ? player.modifiers.terrainYields[this.type] : null;
+    if (terrainYields) {
+      amount += terrainYields[resourceType] || 0;
+    }
+
+    return amount;
+  }
+
+  /**
+   * Get every yield of the tile when worked
+   * @param {Object} player - Player working the tile (for technology bonuses)
+   * @returns {Object} Yields by resource
+   */
+  getYields(player = null) {
+    const yields = {};
+    for (const resourceType of YIELD_TYPES) {
+      yields[resourceType] = this.getYield(resourceType, player);
+    }
+    return yields;
   }
 }
 
@@ -1,7 +1,11 @@
 /**
  * Unit Component
  * Represents a game unit (warrior, settler, etc.)
+ * Base stats come from data/units.json
  */
+
+const Rules = require('../utils/RulesRegistry');
+
 class Unit {
   constructor(type, owner, x, y) {
     this.type = type; // warrior, settler, worker, scout, etc.
@@ -14,63 +18,43 @@ class Unit {
     this.movement = this.getDefaultMovement(type);
     this.maxMovement = this.movement;
     this.range = this.getDefaultRange(type);
+    this.sight = this.getDefaultSight(type);
     this.level = 1;
     this.experience = 0;
     this.upgradeThreshold = 100;
     this.actionsRemaining = 1;
-    this.promoted = false;
+    this.fortified = false; // Dug in for a defense bonus until the unit moves
+    this.promotions = []; // Promotion keys from data/promotions.json
+    this.pendingPromotions = 0; // Levels earned whose promotion has not been chosen yet
   }
 
   getDefaultAttack(unitType) {
-    const attackValues = {
-      'warrior': 10,
-      'archer': 8,
-      'scout': 5,
-      'settler': 3,
-      'worker': 2,
-      'spearman': 12,
-      'cavalry': 15
-    };
-    return attackValues[unitType] || 5;
+    const definition = Rules.getUnitDefinition(unitType);
+    return definition ? definition.base_attack : 5;
   }
 
   getDefaultDefense(unitType) {
-    const defenseValues = {
-      'warrior': 5,
-      'archer': 3,
-      'scout': 2,
-      'settler': 1,
-      'worker': 1,
-      'spearman': 8,
-      'cavalry': 4
-    };
-    return defenseValues[unitType] || 3;
+    const definition = Rules.getUnitDefinition(unitType);
+    return definition ? definition.base_defense : 3;
   }
 
   getDefaultMovement(unitType) {
-    const movementValues = {
-      'warrior': 2,
-      'archer': 2,
-      'scout': 3,
-      'settler': 2,
-      'worker': 2,
-      'spearman': 2,
-      'cavalry': 4
-    };
-    return movementValues[unitType] || 2;
+    const definition = Rules.getUnitDefinition(unitType);
+    return definition ? definition.movement : 2;
   }
 
   getDefaultRange(unitType) {
-    const rangeValues = {
-      'warrior': 1,
-      'archer': 2,
-      'scout': 1,
-      'settler': 1,
-      'worker': 1,
-      'spearman': 1,
-      'cavalry': 1
-    };
-    return rangeValues[unitType] || 1;
+    const definition = Rules.getUnitDefinition(unitType);
+    return definition ? definition.range : 1;
+  }
+
+  getDefaultSight(unitType) {
+    const definition = Rules.getUnitDefinition(unitType);
+    return definition && definition.sight !== undefined ? definition.sight : 2;
+  }
+
+  getUpgradePaths() {
+    return Rules.getUpgradePaths(this.type);
   }
 
   takeDamage(amount) {
@@ -90,32 +74,72 @@ class Unit {
     if (this.movement > 0) {
       this.position = {x, y};
       this.movement--;
+      this.fortified = false;
       return true;
     }
     return false;
   }
 
+  /**
+   * Dig in where the unit stands, spending the rest of its turn
+   * @returns {boolean} Whether the unit fortified
+   */
+  fortify() {
+    if (this.fortified || this.movement <= 0) {
+      return false;
+    }
+    this.fortified = true;
+    this.movement = 0;
+    return true;
+  }
+
   resetTurn() {
     this.movement = this.maxMovement;
     this.actionsRemaining = 1;
   }
 
+  /**
+   * Add experience, levelling up as many times as it allows
+   * @returns {number} Levels gained
+   */
   gainExperience(amount) {
     this.experience += amount;
-    if (this.experience >= this.upgradeThreshold) {
+
+    let levels = 0;
+    while (this.experience >= this.upgradeThreshold) {
       this.levelUp();
+      levels++;
     }
+    return levels;
   }
 
+  /**
+   * Reach the next level: the unit heals and earns a promotion to choose
+   */
   levelUp() {
     this.level++;
-    this.attack += 2;
-    this.defense += 1;
-    this.maxHealth += 10;
+    this.pendingPromotions++;
     this.health = this.maxHealth;
     this.upgradeThreshold = Math.floor(this.upgradeThreshold * 1.5);
   }
 
+  hasPromotion(promotion) {
+    return this.promotions.includes(promotion);
+  }
+
+  /**
+   * Spend an earned level on a promotion
+   * @returns {boolean} Whether the promotion was added
+   */
+  addPromotion(promotion) {
+    if (this.pendingPromotions <= 0 || this.hasPromotion(promotion)) {
+      return false;
+    }
+    this.promotions.push(promotion);
+    this.pendingPromotions--;
+    return true;
+  }
+
   canPerformAction() {
     return this.actionsRemaining > 0;
   }
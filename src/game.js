@@ -3,10 +3,20 @@
  */
 
 const PIXI = require('pixi.js');
+const EventEmitter = require('events');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 
+// Players of a game started without a player list
+const DEFAULT_PLAYERS = [
+  { name: "Player 1", civilization: "Egyptian" },
+  { name: "Player 2", civilization: "Roman" }
+];
+
+// Units every player starts with unless the game options say otherwise
+const DEFAULT_STARTING_UNITS = ['settler', 'warrior'];
+
 class GameEngine {
   constructor() {
     // Initialize Pixi Application
@@ -25,10 +35,14 @@ class GameEngine {
       players: [],
       currentTurn: 0,
       map: null,
+      wonders: {},
       selectedEntity: null,
       isRunning: false
     };
 
+    // Game events (technology researched, etc.)
+    this.events = new EventEmitter();
+
     // Initialize game systems
     this.systems = {};
     this.components = {};
@@ -38,6 +52,9 @@ class GameEngine {
     // Initialize ECS (Entity Component System)
     this.initializeECS();
 
+    // Check the rule files for broken references
+    this.validateRules();
+
     // Initialize game loop
     this.gameLoop = this.gameLoop.bind(this);
     this.app.ticker.add(this.gameLoop);
@@ -61,10 +78,45 @@ class GameEngine {
     this.systems.MovementSystem = require('./systems/MovementSystem')(this);
     this.systems.CombatSystem = require('./systems/CombatSystem')(this);
     this.systems.ResourceSystem = require('./systems/ResourceSystem')(this);
+    this.systems.ResearchSystem = require('./systems/ResearchSystem')(this);
+    this.systems.CivilizationSystem = require('./systems/CivilizationSystem')(this);
+    this.systems.VisibilitySystem = require('./systems/VisibilitySystem')(this);
+    this.systems.ProductionSystem = require('./systems/ProductionSystem')(this);
+    this.systems.WonderSystem = require('./systems/WonderSystem')(this);
+    this.systems.GovernorSystem = require('./systems/GovernorSystem')(this);
+    this.systems.TerritorySystem = require('./systems/TerritorySystem')(this);
+    this.systems.PromotionSystem = require('./systems/PromotionSystem')(this);
+    this.systems.UpgradeSystem = require('./systems/UpgradeSystem')(this);
 
     // Import utilities
+    this.random = new (require('./utils/RandomService'))();
+    this.Rules = require('./utils/RulesRegistry');
+    this.RulesValidator = require('./utils/RulesValidator');
+    this.MapGenerator = require('./utils/MapGenerator');
+    this.MapScripts = require('./utils/MapScripts');
+    this.GridTopology = require('./utils/GridTopology');
+    this.StartPlacer = require('./utils/StartPlacer');
     this.Pathfinder = require('./utils/Pathfinder')(this);
     this.GameStateManager = new (require('./utils/GameStateManager'))(this);
+    
+    // Replaced by the map's own topology when a map is created or loaded
+    this.grid = this.GridTopology.createTopology('square', 0, 0);
+  }
+
+  /**
+   * Validates the data/*.json rule files and reports any errors, and any
+   * rules the game does not support yet
+   */
+  validateRules() {
+    const validator = new this.RulesValidator(this.Rules);
+    const errors = validator.validate();
+    if (errors.length > 0) {
+      console.warn(this.RulesValidator.formatErrors(errors));
+    }
+    if (validator.warnings.length > 0) {
+      console.warn(this.RulesValidator.formatWarnings(validator.warnings));
+    }
+    return errors;
   }
 
   setupServer() {
@@ -80,21 +132,62 @@ class GameEngine {
       res.sendFile(__dirname + '/index.html');
     });
 
+    // Forward game events to the clients of the player concerned
+    this.events.on('technology_researched', (data) => {
+      this.emitToPlayer(data.playerId, 'technology_researched', data);
+    });
+    this.events.on('production_completed', (data) => {
+      this.emitToPlayer(data.playerId, 'production_completed', data);
+    });
+    this.events.on('wonder_lost', (data) => {
+      this.emitToPlayer(data.playerId, 'wonder_lost', data);
+    });
+    this.events.on('bankruptcy', (data) => {
+      this.emitToPlayer(data.playerId, 'bankruptcy', data);
+    });
+    this.events.on('promotion_available', (data) => {
+      this.emitToPlayer(data.playerId, 'promotion_available', data);
+    });
+    this.events.on('unit_promoted', (data) => {
+      this.emitToPlayer(data.playerId, 'unit_promoted', data);
+    });
+    this.events.on('unit_upgraded', (data) => {
+      this.emitToPlayer(data.playerId, 'unit_upgraded', data);
+    });
+
+    this.events.on('city_captured', (data) => {
+      this.emitToPlayer(data.playerId, 'city_captured', data);
+      this.emitToPlayer(data.previousOwner, 'city_captured', data);
+    });
+
+    // World wonders are announced to everyone
+    this.events.on('wonder_completed', (data) => {
+      this.io.emit('wonder_completed', data);
+    });
+
     // Handle socket connections
     this.io.on('connection', (socket) => {
-      console.log('Player connected:', socket.id);
+      // Clients say which player they control when connecting (?playerId=0)
+      const playerId = parseInt(socket.handshake.query.playerId, 10);
+      socket.data.playerId = Number.isNaN(playerId) ? null : playerId;
+      console.log('Player connected:', socket.id, 'as player', socket.data.playerId);
 
-      // Send initial game state
-      socket.emit('game_state', this.gameState);
+      // Send initial game state, limited to what the player can see
+      socket.emit('game_state', this.getClientGameState(socket.data.playerId));
+
+      socket.on('request_game_state', () => {
+        socket.emit('game_state', this.getClientGameState(socket.data.playerId));
+      });
 
       socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
       });
 
       socket.on('player_action', (data) => {
-        this.handlePlayerAction(data, socket.id);
-        // Broadcast action to other players
-        socket.broadcast.emit('player_action', data);
+        this.handlePlayerAction(data, socket.data.playerId);
+        // Send every player their updated view instead of the raw action,
+        // which could reveal moves made in the fog of war
+        this.broadcastGameState();
       });
     });
 
@@ -104,6 +197,34 @@ class GameEngine {
     });
   }
 
+  /**
+   * Gets the game state a player's client may see (fog of war applied)
+   * @param {number|null} playerId - ID of the player, or null for an unassigned client
+   */
+  getClientGameState(playerId) {
+    return this.systems.VisibilitySystem.getClientState(playerId);
+  }
+
+  /**
+   * Sends every connected client its own view of the game state
+   */
+  broadcastGameState() {
+    for (const socket of this.io.sockets.sockets.values()) {
+      socket.emit('game_state', this.getClientGameState(socket.data.playerId));
+    }
+  }
+
+  /**
+   * Sends an event only to the clients controlling a player
+   */
+  emitToPlayer(playerId, event, data) {
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.data.playerId === playerId) {
+        socket.emit(event, data);
+      }
+    }
+  }
+
   handlePlayerAction(data, playerId) {
     switch(data.type) {
       case 'end_turn':
@@ -112,15 +233,54 @@ class GameEngine {
       case 'move_unit':
         this.moveUnit(data.unitId, data.toX, data.toY);
         break;
+      case 'fortify_unit':
+        this.fortifyUnit(data.unitId);
+        break;
       case 'attack':
-        this.performCombat(data.attackerId, data.defenderId);
+        if (this.isCurrentPlayer(playerId)) {
+          this.performCombat(data.attackerId, data.defenderId);
+        }
+        break;
+      case 'promote_unit':
+        this.systems.PromotionSystem.promote(data.unitId, data.promotion);
+        break;
+      case 'upgrade_unit':
+        this.systems.UpgradeSystem.upgradeUnit(data.unitId, data.unitType);
         break;
       case 'build_unit':
         this.buildUnit(data.playerId, data.unitType, data.x, data.y);
         break;
+      case 'queue_production':
+        if (this.canCommandCity(playerId, data.cityId)) {
+          this.systems.ProductionSystem.queueItem(data.cityId, data.item);
+        }
+        break;
+      case 'dequeue_production':
+        if (this.canCommandCity(playerId, data.cityId)) {
+          this.systems.ProductionSystem.dequeueItem(data.cityId, data.item);
+        }
+        break;
+      case 'set_city_focus':
+        if (this.canCommandCity(playerId, data.cityId)) {
+          this.systems.GovernorSystem.setFocus(data.cityId, data.focus);
+        }
+        break;
+      case 'lock_tile':
+        if (this.canCommandCity(playerId, data.cityId)) {
+          this.systems.GovernorSystem.lockTile(data.cityId, data.x, data.y);
+        }
+        break;
+      case 'unlock_tile':
+        if (this.canCommandCity(playerId, data.cityId)) {
+          this.systems.GovernorSystem.unlockTile(data.cityId, data.x, data.y);
+        }
+        break;
       case 'build_city':
         this.buildCity(data.playerId, data.x, data.y, data.cityName);
         break;
+      case 'set_research':
+        this.systems.ResearchSystem.setResearch(playerId, data.techName);
+        break;
       case 'select_unit':
         this.selectUnit(data.unitId);
         break;
@@ -136,6 +296,26 @@ class GameEngine {
     }
   }
 
+  /**
+   * Checks whether it is a player's turn
+   * @param {number|null} playerId - ID of the player bound to the requesting client
+   */
+  isCurrentPlayer(playerId) {
+    const currentPlayer = this.gameState.players[this.gameState.currentTurn];
+    return !!currentPlayer && currentPlayer.id === playerId;
+  }
+
+  /**
+   * Checks whether a player may give orders to a city: only on their turn,
+   * and only to their own cities
+   * @param {number|null} playerId - ID of the player bound to the requesting client
+   * @param {number} cityId - ID of the city entity
+   */
+  canCommandCity(playerId, cityId) {
+    const cityEntity = this.getEntityById(cityId);
+    return !!cityEntity && !!cityEntity.city && cityEntity.city.owner === playerId && this.isCurrentPlayer(playerId);
+  }
+
   /**
    * Creates a new entity with the given components
    */
@@ -155,56 +335,110 @@ class GameEngine {
   }
 
   /**
-   * Removes an entity by ID
+   * Removes an entity by ID, along with its place in its owner's units or cities
    */
   removeEntityById(id) {
     const index = this.entities.findIndex(entity => entity.id === id);
     if (index !== -1) {
-      this.entities.splice(index, 1);
+      const [entity] = this.entities.splice(index, 1);
+      if (entity.unit && this.gameState.players[entity.unit.owner]) {
+        this.gameState.players[entity.unit.owner].removeUnit(entity.id);
+      }
+      this.systems.VisibilitySystem.markDirty();
+      if (entity.city) {
+        if (this.gameState.players[entity.city.owner]) {
+          this.gameState.players[entity.city.owner].removeCity(entity.id);
+        }
+        this.systems.TerritorySystem.markDirty();
+      }
     }
   }
 
   /**
-   * Initializes the game map
+   * Creates a unit entity for a player, applying the player's unit modifiers
    */
-  initializeMap(width = 20, height = 15) {
-    this.gameState.map = [];
-    
-    for (let x = 0; x < width; x++) {
-      this.gameState.map[x] = [];
-      for (let y = 0; y < height; y++) {
-        // Create different terrain types based on position
-        let type, terrainModifier;
-        
-        // Create some basic terrain patterns
-        if (x === 0 || y === 0 || x === width-1 || y === height-1) {
-          type = 'water';
-          terrainModifier = 0;
-        } else if (x === 5 && y === 5) {
-          type = 'mountain';
-          terrainModifier = 3;
-        } else if (x % 7 === 0 && y % 7 === 0) {
-          type = 'forest';
-          terrainModifier = 2;
-        } else {
-          type = 'grass';
-          terrainModifier = 1;
-        }
-        
-        const tile = new this.components.Tile(x, y, type, terrainModifier);
-        
-        // Add some resources to certain tiles
-        if (x % 5 === 0 && y % 5 === 0 && type !== 'water' && type !== 'mountain') {
-          tile.resource = new this.components.Resource(
-            ['food', 'gold', 'production'][Math.floor(Math.random() * 3)], 
-            Math.floor(Math.random() * 10) + 5,
-            {x, y}
-          );
-        }
-        
-        this.gameState.map[x][y] = tile;
-      }
+  createUnit(playerId, unitType, x, y) {
+    const player = this.gameState.players[playerId];
+    const unitEntity = this.createEntity({
+      unit: new this.components.Unit(unitType, playerId, x, y),
+      position: new this.components.Position(x, y)
+    });
+
+    if (player) {
+      this.systems.ResearchSystem.applyUnitModifiers(player, unitEntity.unit);
+      this.systems.CivilizationSystem.applyUnitBonuses(player, unitEntity.unit);
+      player.addUnit(unitEntity.id);
+    }
+    this.systems.VisibilitySystem.markDirty();
+
+    return unitEntity;
+  }
+
+  /**
+   * Creates a city entity for a player, applying the player's city modifiers
+   */
+  createCity(playerId, x, y, cityName = null) {
+    const player = this.gameState.players[playerId];
+    const cityEntity = this.createEntity({
+      city: new this.components.City(playerId, x, y, cityName, this.random.gameplay),
+      position: new this.components.Position(x, y)
+    });
+
+    if (player) {
+      this.systems.ResearchSystem.applyCityModifiers(player, cityEntity.city);
+      player.addCity(cityEntity.id);
     }
+    
+    // Claim the surrounding territory, then put the first citizens to work
+    this.systems.TerritorySystem.markDirty();
+    this.systems.TerritorySystem.refresh();
+    this.systems.GovernorSystem.assignCitizens(cityEntity);
+    this.systems.VisibilitySystem.markDirty();
+
+    return cityEntity;
+  }
+
+  /**
+   * Initializes the game map
+   * @param {Object} options - Map generator options (script, width, height, seed, landRatio, ...)
+   */
+  initializeMap(options = {}) {
+    const generator = new this.MapGenerator(this);
+    this.gameState.map = generator.generate(options);
+    
+    // Keep the settings (including the seed) so the map can be reproduced
+    this.gameState.mapSettings = { ...generator.settings };
+    this.setupGrid();
+    this.systems.VisibilitySystem.markDirty();
+    
+    // Landmasses the map script allows players to start on
+    this.startLandmasses = generator.startLandmasses;
+    
+    console.log(`Generated ${generator.settings.width}x${generator.settings.height} ${generator.settings.script} map with seed ${generator.settings.seed}`);
+  }
+
+  /**
+   * Creates the grid topology (square, hex, ...) of the current map
+   * All neighbor, distance and range checks go through this.grid
+   */
+  setupGrid() {
+    const map = this.gameState.map;
+    const settings = this.gameState.mapSettings || {};
+    this.grid = this.GridTopology.createTopology(
+      settings.topology || 'square',
+      map ? map.length : settings.width,
+      map ? map[0].length : settings.height,
+      { wrapX: !!settings.wrapX }
+    );
+  }
+
+  /**
+   * Registers a custom map script selectable through the map options
+   * @param {string} key - Script key (e.g. 'twin_islands')
+   * @param {Object} script - Script definition (see utils/MapScripts)
+   */
+  registerMapScript(key, script) {
+    this.MapScripts.register(key, script);
   }
 
   /**
@@ -222,24 +456,47 @@ class GameEngine {
     );
     
     this.gameState.players.push(player);
+    
+    // Apply starting era and technologies of the civilization
+    this.systems.CivilizationSystem.initializePlayer(player);
+    
     return player;
   }
 
   /**
    * Starts the game
+   * @param {Object} options - Game options:
+   *   players       - Array of { name, civilization } (defaults to DEFAULT_PLAYERS)
+   *   map           - Passed to the map generator (map.script selects continents, pangaea, ...;
+   *                   map.topology selects 'square' or 'hex' tiles, map.wrapX joins
+   *                   the east and west edges into a cylinder)
+   *   startPlacement - Passed to the start placer (radius, minDistance, weights, ...)
+   *   startingUnits - Unit types every player starts with (defaults to DEFAULT_STARTING_UNITS)
+   *   seed          - Game seed; the map and all gameplay randomness derive from it
    */
-  start() {
+  start(options = {}) {
     console.log("Starting Civilization Revolution Remake...");
     
-    // Initialize game world
-    this.initializeMap();
+    if (options.seed !== undefined) {
+      this.random.setSeed(options.seed);
+    }
+    console.log(`Game seed: ${this.random.seed}`);
+    
+    const players = options.players || DEFAULT_PLAYERS;
+    
+    // Initialize game world with starting land for every player
+    this.initializeMap({ players: players.length, ...options.map });
     
     // Add players
-    this.addPlayer("Player 1", "Egyptian");
-    this.addPlayer("Player 2", "Roman");
+    for (const { name, civilization } of players) {
+      this.addPlayer(name, civilization);
+    }
+    
+    // Choose fair start positions
+    this.startPositions = new this.StartPlacer(this).placePlayers(this.gameState.players, options.startPlacement);
     
     // Create initial units
-    this.createInitialUnits();
+    this.createInitialUnits(options.startingUnits || DEFAULT_STARTING_UNITS);
     
     // Create initial cities
     this.createInitialCities();
@@ -252,74 +509,34 @@ class GameEngine {
   }
 
   /**
-   * Creates initial units for players
+   * Creates initial units for players around their start positions
+   * @param {Array} startingUnits - Unit types every player starts with
    */
-  createInitialUnits() {
-    // Player 1 starts at (5, 5)
-    const player1 = this.gameState.players[0];
-    const warrior1 = this.createEntity({
-      unit: new this.components.Unit('warrior', 0, 5, 5),
-      position: new this.components.Position(5, 5)
-    });
-    
-    const settler1 = this.createEntity({
-      unit: new this.components.Unit('settler', 0, 5, 6),
-      position: new this.components.Position(5, 6)
-    });
-    
-    // Player 2 starts at (15, 10)
-    const player2 = this.gameState.players[1];
-    const warrior2 = this.createEntity({
-      unit: new this.components.Unit('warrior', 1, 15, 10),
-      position: new this.components.Position(15, 10)
-    });
-    
-    const archer2 = this.createEntity({
-      unit: new this.components.Unit('archer', 1, 15, 9),
-      position: new this.components.Position(15, 9)
+  createInitialUnits(startingUnits) {
+    const unitTypes = startingUnits.filter(unitType => {
+      if (!this.Rules.hasUnit(unitType)) {
+        console.warn(`Unknown starting unit ${unitType}`);
+        return false;
+      }
+      return true;
     });
     
-    // Add units to players
-    player1.addUnit(warrior1.id);
-    player1.addUnit(settler1.id);
-    player2.addUnit(warrior2.id);
-    player2.addUnit(archer2.id);
+    const placer = new this.StartPlacer(this);
+    for (const start of this.startPositions) {
+      const spawnTiles = placer.getSpawnTiles(start.x, start.y, unitTypes.length);
+      unitTypes.forEach((unitType, index) => {
+        this.createUnit(start.playerId, unitType, spawnTiles[index].x, spawnTiles[index].y);
+      });
+    }
   }
 
   /**
-   * Creates initial cities for players
+   * Creates initial cities for players at their start positions
    */
   createInitialCities() {
-    // Player 1 creates a city at (4, 5)
-    const player1 = this.gameState.players[0];
-    const city1 = this.createEntity({
-      city: new this.components.City(0, 4, 5, "Memphis"),
-      position: new this.components.Position(4, 5)
-    });
-    
-    // Player 2 creates a city at (14, 10)
-    const player2 = this.gameState.players[1];
-    const city2 = this.createEntity({
-      city: new this.components.City(1, 14, 10, "Roma"),
-      position: new this.components.Position(14, 10)
-    });
-    
-    // Add cities to players
-    player1.addCity(city1.id);
-    player2.addCity(city2.id);
-    
-    // Assign nearby tiles to cities
-    city1.city.assignTile(4, 5); // City center
-    city1.city.assignTile(3, 5);
-    city1.city.assignTile(5, 5);
-    city1.city.assignTile(4, 4);
-    city1.city.assignTile(4, 6);
-    
-    city2.city.assignTile(14, 10); // City center
-    city2.city.assignTile(13, 10);
-    city2.city.assignTile(15, 10);
-    city2.city.assignTile(14, 9);
-    city2.city.assignTile(14, 11);
+    for (const start of this.startPositions) {
+      this.createCity(start.playerId, start.x, start.y);
+    }
   }
 
   /**
@@ -329,13 +546,26 @@ class GameEngine {
     const currentPlayer = this.gameState.players[this.gameState.currentTurn];
     
     if (currentPlayer) {
-      // End current player's turn
-      currentPlayer.endTurn();
+      // Work the cities and advance their production queues
+      this.systems.ProductionSystem.processTurn(currentPlayer);
+      
+      // End current player's turn, collecting the cities' income less upkeep
+      // after disbanding units or selling buildings the treasury cannot pay for
+      currentPlayer.endTurn(this.systems.ResourceSystem.resolveBankruptcy(currentPlayer));
+      
+      // Pour this turn's science into the current research
+      this.systems.ResearchSystem.processTurn(currentPlayer);
+      
+      // Accumulated culture may have pushed the borders outward
+      this.systems.TerritorySystem.markDirty();
+      
+      // Refresh the empire-wide effects of the player's wonders
+      this.systems.WonderSystem.processTurn(currentPlayer);
       
       // Reset all units for next turn
       for (const entity of this.entities) {
         if (entity.unit && entity.unit.owner === currentPlayer.id) {
-          entity.unit.resetTurn();
+          this.systems.MovementSystem.resetMovement(entity);
         }
       }
       
@@ -361,8 +591,14 @@ class GameEngine {
       return false;
     }
     
+    // Moves across the seam of a wrapped map land on the other side
+    ({ x: toX, y: toY } = this.grid.wrap(toX, toY));
+    if (!this.grid.isInBounds(toX, toY)) {
+      return false;
+    }
+    
     // Check if movement is valid
-    const distance = Math.abs(unitEntity.position.x - toX) + Math.abs(unitEntity.position.y - toY);
+    const distance = this.grid.getDistance(unitEntity.position.x, unitEntity.position.y, toX, toY);
     if (distance > unitEntity.unit.movement) {
       return false;
     }
@@ -370,29 +606,64 @@ class GameEngine {
     // Update unit position
     unitEntity.position.set(toX, toY);
     unitEntity.unit.move(toX, toY);
+    this.systems.VisibilitySystem.markDirty();
     
     console.log(`Moved unit ${unitId} to (${toX}, ${toY})`);
     return true;
   }
 
   /**
-   * Performs combat between two units
+   * Fortifies a unit of the current player where it stands
+   */
+  fortifyUnit(unitId) {
+    const unitEntity = this.getEntityById(unitId);
+    const currentPlayer = this.gameState.players[this.gameState.currentTurn];
+    
+    if (!unitEntity || !unitEntity.unit || unitEntity.unit.owner !== currentPlayer.id) {
+      return false;
+    }
+    
+    return unitEntity.unit.fortify();
+  }
+
+  /**
+   * Performs combat between a unit and an enemy unit or city
+   * Ranged units fire from range without taking counter-damage; cities are
+   * attacked through the Combat System's city rules
    */
   performCombat(attackerId, defenderId) {
     const attacker = this.getEntityById(attackerId);
     const defender = this.getEntityById(defenderId);
     
-    if (!attacker || !defender || !attacker.unit || !defender.unit) {
+    if (!attacker || !defender || !attacker.unit || (!defender.unit && !defender.city)) {
       return false;
     }
     
-    // Check if this is valid combat (enemies, within range, etc.)
-    if (attacker.unit.owner === defender.unit.owner) {
-      return false;
+    // Only the player whose turn it is may attack with their units
+    const currentPlayer = this.gameState.players[this.gameState.currentTurn];
+    if (!currentPlayer || attacker.unit.owner !== currentPlayer.id) {
+      return { success: false, error: 'Units can only be given orders by their owner on their turn' };
+    }
+    
+    // Check if this is valid combat (enemies, within range, in sight, etc.)
+    const combat = this.systems.CombatSystem;
+    const check = combat.checkAttack(attacker, defender);
+    if (!check.success) {
+      return check;
     }
     
     // Perform combat using Combat System
-    const result = this.systems.CombatSystem.performCombat(attacker, defender);
+    if (defender.city) {
+      const result = combat.attackCity(attacker, defender);
+      if (result.success && result.city.fallen) {
+        this.captureCity(defender, attacker);
+      }
+      return result;
+    }
+    
+    const result = combat.isRangedUnit(attacker.unit)
+      ? combat.performRangedAttack(attacker, defender)
+      : combat.performCombat(attacker, defender);
     
     // Handle combat results
     if (result.success) {
@@ -408,37 +679,82 @@ class GameEngine {
   }
 
   /**
-   * Builds a new unit
+   * Hands a city whose health has run out to the player whose unit took it
+   * The unit moves in unless units of the defender still hold the city; the
+   * city's production queue and locked tiles are lost
+   * @returns {boolean} Whether the city changed hands
+   */
+  captureCity(cityEntity, attackerEntity) {
+    const city = cityEntity.city;
+    const { x, y } = city.position;
+    const garrisoned = this.entities.some(entity =>
+      entity.unit && entity.unit.owner === city.owner && entity.position.x === x && entity.position.y === y
+    );
+    if (garrisoned) {
+      return false;
+    }
+    
+    const previousOwner = city.owner;
+    const newOwner = attackerEntity.unit.owner;
+    if (this.gameState.players[previousOwner]) {
+      this.gameState.players[previousOwner].removeCity(cityEntity.id);
+    }
+    if (this.gameState.players[newOwner]) {
+      this.gameState.players[newOwner].addCity(cityEntity.id);
+    }
+    
+    city.owner = newOwner;
+    city.health = Math.ceil(city.maxHealth / 2);
+    city.productionQueue = [];
+    city.productionStored = 0;
+    city.lockedTiles = [];
+    
+    // Marching in costs no movement; the attack already spent the unit's action
+    attackerEntity.position.set(x, y);
+    attackerEntity.unit.position = { x, y };
+    attackerEntity.unit.fortified = false;
+    
+    // The city takes its territory and wonders with it; its citizens work for the new owner
+    this.systems.WonderSystem.transferCityWonders(cityEntity);
+    this.systems.TerritorySystem.markDirty();
+    this.systems.TerritorySystem.refresh();
+    this.systems.GovernorSystem.assignCitizens(cityEntity);
+    this.systems.VisibilitySystem.markDirty();
+    
+    console.log(`Player ${newOwner} captured ${city.name} from player ${previousOwner}`);
+    this.events.emit('city_captured', { playerId: newOwner, previousOwner, cityId: cityEntity.id, cityName: city.name });
+    return true;
+  }
+
+  /**
+   * Orders a new unit from the player's city at (x, y)
+   * The unit is added to the city's production queue and appears in the city
+   * once enough production has been spent on it
    */
   buildUnit(playerId, unitType, x, y) {
     const player = this.gameState.players[playerId];
     if (!player) return false;
     
-    // Check if player can afford the unit
-    const costs = {
-      warrior: { gold: 50, production: 30 },
-      archer: { gold: 60, production: 35 },
-      settler: { gold: 100, production: 50 }
-    };
+    const cityEntity = this.entities.find(entity =>
+      entity.city &&
+      entity.city.owner === playerId &&
+      entity.city.position.x === x &&
+      entity.city.position.y === y
+    );
     
-    if (!costs[unitType] || !player.canAfford(costs[unitType])) {
+    if (!cityEntity) {
+      console.log("No city found at location to build unit");
       return false;
     }
     
-    // Spend resources
-    player.spendResources(costs[unitType]);
-    
-    // Create new unit
-    const newUnit = this.createEntity({
-      unit: new this.components.Unit(unitType, playerId, x, y),
-      position: new this.components.Position(x, y)
-    });
-    
-    // Add unit to player
-    player.addUnit(newUnit.id);
+    const result = this.systems.ProductionSystem.queueItem(cityEntity.id, unitType);
+    if (!result.success) {
+      console.log(`Cannot build ${unitType}: ${result.error}`);
+      return false;
+    }
     
-    console.log(`Built ${unitType} for player ${playerId} at (${x}, ${y})`);
-    return newUnit;
+    console.log(`Queued ${unitType} for player ${playerId} in ${cityEntity.city.name}`);
+    return result;
   }
 
   /**
@@ -477,17 +793,8 @@ class GameEngine {
       return false;
     }
 
-    // Create new city
-    const newCity = this.createEntity({
-      city: new this.components.City(playerId, x, y, cityName),
-      position: new this.components.Position(x, y)
-    });
-
-    // Add city to player
-    player.addCity(newCity.id);
-
-    // Assign the center tile to the city
-    newCity.city.assignTile(x, y);
+    // Create new city; its governor assigns the worked tiles
+    const newCity = this.createCity(playerId, x, y, cityName);
 
     // Remove the settler unit that founded the city
     player.removeUnit(settlerAtLocation.id);
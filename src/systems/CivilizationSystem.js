@@ -0,0 +1,382 @@
+/**
+ * Civilization System
+ * Interprets the traits in data/civilizations.json and provides the resulting
+ * modifiers to combat, production, movement and research
+ */
+module.exports = function(gameEngine) {
+  class CivilizationSystem {
+    constructor(game) {
+      this.game = game;
+
+      // Ability profiles are built once per civilization
+      this.profiles = {};
+
+      // Handlers for unique_ability effect types
+      this.abilityHandlers = {
+        wonder_production_bonus: (profile, value) => {
+          profile.wonderProduction += value;
+        },
+        road_bonus: () => {
+          // There are no roads yet; RulesValidator warns about this effect
+        },
+        city_cluster_bonus: (profile, value) => {
+          this.addYields(profile.cityCluster, value);
+        },
+        free_technology_and_science_bonus: (profile, value) => {
+          profile.freeTechnologies += value.free_techs;
+          const universityYields = profile.buildingYields.university || (profile.buildingYields.university = {});
+          universityYields.science = (universityYields.science || 0) + value.university_bonus;
+        },
+        mounted_unit_bonus: (profile, value) => {
+          this.addToGroup(profile.combat, 'mounted_units', value.strength);
+          this.addToGroup(profile.movement, 'mounted_units', value.movement);
+        },
+        naval_unit_bonus: (profile, value) => {
+          this.addToGroup(profile.movement, 'naval_units', value.movement);
+          this.addToGroup(profile.sight, 'naval_units', value.sight);
+        },
+        culture_specialist_bonus: (profile, value) => {
+          // great_people_bonus waits for great people; RulesValidator warns about it
+          profile.specialistYields.culture += value.specialist_culture;
+        }
+      };
+
+      // Handlers for entries in a civilization's bonuses list
+      this.bonusHandlers = {
+        resource_bonus: (profile, bonus, condition) => {
+          if (condition) {
+            profile.conditionalResources.push({ resource: bonus.resource, value: bonus.value, condition });
+          } else {
+            profile.resources[bonus.resource] += bonus.value;
+          }
+        },
+        culture_bonus: (profile, bonus) => {
+          profile.resources.culture += bonus.value;
+        },
+        science_bonus: (profile, bonus) => {
+          profile.resources.science += bonus.value;
+        },
+        unit_bonus: (profile, bonus) => {
+          const stats = profile.unitStats[bonus.unit] || (profile.unitStats[bonus.unit] = {});
+          stats[bonus.stat] = (stats[bonus.stat] || 0) + bonus.value;
+        },
+        movement_bonus: (profile, bonus, condition) => {
+          const group = condition && condition.unitGroup ? condition.unitGroup : 'all_units';
+          this.addToGroup(profile.movement, group, bonus.value);
+        },
+        naval_combat_bonus: (profile, bonus) => {
+          this.addToGroup(profile.combat, 'naval_units', bonus.value);
+        }
+      };
+    }
+
+    update(delta) {
+      // Civilization traits are static and consulted on demand
+    }
+
+    /**
+     * Gets the civilization definition of a player
+     * @param {Object} player - The player
+     * @returns {Object|null} Civilization definition
+     */
+    getCivilization(player) {
+      const civKey = this.game.Rules.resolveCivilizationKey(player.civilization);
+      return civKey ? this.game.Rules.getCivilizationDefinition(civKey) : null;
+    }
+
+    /**
+     * Gets the ability profile of a player's civilization
+     * @param {number} playerId - ID of the player
+     * @returns {Object} Ability profile (neutral if the civilization is unknown)
+     */
+    getProfile(playerId) {
+      const player = this.game.gameState.players[playerId];
+      const civKey = player ? this.game.Rules.resolveCivilizationKey(player.civilization) : null;
+      if (!civKey) {
+        return this.createEmptyProfile();
+      }
+
+      if (!this.profiles[civKey]) {
+        this.profiles[civKey] = this.buildProfile(this.game.Rules.getCivilizationDefinition(civKey));
+      }
+
+      return this.profiles[civKey];
+    }
+
+    createEmptyProfile() {
+      return {
+        resources: { gold: 0, food: 0, production: 0, science: 0, culture: 0 }, // Percentage bonuses
+        conditionalResources: [], // [{ resource, value, condition }]
+        combat: {}, // unit group -> strength bonus
+        movement: {}, // unit group -> extra movement points
+        sight: {}, // unit group -> extra sight range
+        unitStats: {}, // unitType -> { stat: flat bonus }
+        buildingYields: {}, // building -> { resource: percentage bonus }
+        cityCluster: {}, // flat yields for cities near another friendly city
+        specialistYields: { culture: 0 }, // flat yields per specialist
+        wonderProduction: 0,
+        freeTechnologies: 0
+      };
+    }
+
+    /**
+     * Interprets a civilization definition into an ability profile
+     * @param {Object} civ - Civilization definition
+     * @returns {Object} Ability profile
+     */
+    buildProfile(civ) {
+      const profile = this.createEmptyProfile();
+
+      const effect = civ.unique_ability && civ.unique_ability.effect;
+      if (effect) {
+        const handler = this.abilityHandlers[effect.type];
+        if (handler) {
+          handler(profile, effect.value);
+        } else {
+          console.warn(`No handler for civilization ability ${effect.type}`);
+        }
+      }
+
+      for (const bonus of civ.bonuses || []) {
+        const handler = this.bonusHandlers[bonus.type];
+        if (!handler) {
+          console.warn(`No handler for civilization bonus ${bonus.type}`);
+          continue;
+        }
+
+        const condition = bonus.condition ? this.parseCondition(bonus.condition) : null;
+        if (bonus.condition && !condition) {
+          console.warn(`Unrecognized condition "${bonus.condition}" on ${civ.name} ${bonus.type}`);
+          continue;
+        }
+
+        handler(profile, bonus, condition);
+      }
+
+      return profile;
+    }
+
+    /**
+     * Parses a bonus condition string
+     * Supports "in <terrain> terrain" and unit groups such as "mounted_units"
+     * @param {string} condition - Condition text from civilizations.json
+     * @returns {Object|null} Parsed condition or null if not recognized
+     */
+    parseCondition(condition) {
+      const terrainMatch = /^in (\w+) terrain$/.exec(condition);
+      if (terrainMatch) {
+        return { terrain: terrainMatch[1] };
+      }
+
+      if (/_units$/.test(condition)) {
+        return { unitGroup: condition };
+      }
+
+      return null;
+    }
+
+    /**
+     * Checks a parsed condition against a context
+     * @param {Object} condition - Parsed condition
+     * @param {Object} context - { terrain, unitType }
+     * @returns {boolean} Whether the condition holds
+     */
+    matchesCondition(condition, context) {
+      if (condition.terrain) {
+        return context.terrain === condition.terrain;
+      }
+
+      if (condition.unitGroup) {
+        return !!context.unitType && this.isUnitInGroup(context.unitType, condition.unitGroup);
+      }
+
+      return false;
+    }
+
+    /**
+     * Gets how much of a context a condition holds for
+     * A terrain condition holds for the share of worked tiles on that terrain,
+     * or for the city center alone when the worked tiles are not known
+     * @returns {number} Share between 0 and 1
+     */
+    getConditionShare(condition, context) {
+      if (condition.terrain && context.terrains && context.terrains.length > 0) {
+        const matching = context.terrains.filter(terrain => terrain === condition.terrain).length;
+        return matching / context.terrains.length;
+      }
+
+      return this.matchesCondition(condition, context) ? 1 : 0;
+    }
+
+    /**
+     * Sets up a new player according to their civilization
+     * Applies the starting era, starting technologies and free technologies
+     * @param {Object} player - The player
+     */
+    initializePlayer(player) {
+      const civ = this.getCivilization(player);
+      if (!civ) {
+        console.warn(`Unknown civilization ${player.civilization} for player ${player.id}`);
+        return;
+      }
+
+      const research = this.game.systems.ResearchSystem;
+      player.era = civ.starting_era;
+
+      for (const techName of civ.starting_technologies || []) {
+        if (!research.grantTechnology(player, techName)) {
+          console.warn(`${civ.name} starting technology ${techName} could not be granted`);
+        }
+      }
+
+      // Free technologies are the cheapest ones available at the start
+      const profile = this.getProfile(player.id);
+      for (let i = 0; i < profile.freeTechnologies; i++) {
+        const available = research.getAvailableTechnologies(player)
+          .map(techName => ({ techName, cost: this.game.Rules.getTechnologyDefinition(techName).cost }))
+          .sort((a, b) => a.cost - b.cost || a.techName.localeCompare(b.techName));
+
+        if (available.length === 0) break;
+        research.grantTechnology(player, available[0].techName);
+      }
+    }
+
+    /**
+     * Gets the percentage resource bonuses of a player's civilization
+     * Terrain bonuses apply in proportion to the city's worked tiles on that terrain
+     * @param {number} playerId - ID of the player
+     * @param {Object} context - Optional { terrain, terrains, buildings } of the producing city
+     * @returns {Object} Modifiers keyed by resource
+     */
+    getResourceModifiers(playerId, context = {}) {
+      const profile = this.getProfile(playerId);
+      const modifiers = { ...profile.resources };
+
+      for (const bonus of profile.conditionalResources) {
+        modifiers[bonus.resource] += bonus.value * this.getConditionShare(bonus.condition, context);
+      }
+
+      for (const building of context.buildings || []) {
+        for (const [resource, value] of Object.entries(profile.buildingYields[building] || {})) {
+          modifiers[resource] += value;
+        }
+      }
+
+      return modifiers;
+    }
+
+    /**
+     * Gets the flat yields a player's civilization adds to a city
+     * @param {number} playerId - ID of the player
+     * @param {Object} cityEntity - City entity
+     * @returns {Object} Extra yields keyed by resource
+     */
+    getCityYieldBonus(playerId, cityEntity) {
+      const profile = this.getProfile(playerId);
+      const yields = { food: 0, production: 0, gold: 0, science: 0, culture: 0 };
+
+      // Cluster bonus for cities founded near another friendly city
+      if (Object.keys(profile.cityCluster).length > 0 && this.hasNearbyFriendlyCity(cityEntity, 3)) {
+        this.addYields(yields, profile.cityCluster);
+      }
+
+      const specialists = Object.values(cityEntity.city.specialists).reduce((sum, count) => sum + count, 0);
+      for (const [resource, value] of Object.entries(profile.specialistYields)) {
+        yields[resource] += specialists * value;
+      }
+
+      return yields;
+    }
+
+    /**
+     * Gets the combat strength bonus of a unit from its civilization
+     * @param {number} playerId - ID of the owning player
+     * @param {string} unitType - Unit type key
+     * @returns {number} Fractional strength bonus (0.5 = +50%)
+     */
+    getCombatBonus(playerId, unitType) {
+      return this.sumGroupBonuses(this.getProfile(playerId).combat, unitType);
+    }
+
+    /**
+     * Gets the extra movement points of a unit from its civilization
+     */
+    getMovementBonus(playerId, unitType) {
+      return this.sumGroupBonuses(this.getProfile(playerId).movement, unitType);
+    }
+
+    /**
+     * Gets the extra sight range of a unit from its civilization
+     */
+    getSightBonus(playerId, unitType) {
+      return this.sumGroupBonuses(this.getProfile(playerId).sight, unitType);
+    }
+
+    /**
+     * Gets the fractional production bonus when building wonders
+     */
+    getWonderProductionBonus(playerId) {
+      return this.getProfile(playerId).wonderProduction;
+    }
+
+    /**
+     * Applies civilization movement and stat bonuses to a newly created unit
+     * @param {Object} player - The owning player
+     * @param {Object} unit - Unit component
+     */
+    applyUnitBonuses(player, unit) {
+      const movementBonus = this.getMovementBonus(player.id, unit.type);
+      unit.maxMovement += movementBonus;
+      unit.movement += movementBonus;
+
+      const statBonuses = this.getProfile(player.id).unitStats[unit.type] || {};
+      for (const [stat, value] of Object.entries(statBonuses)) {
+        if (stat === 'movement') {
+          unit.maxMovement += value;
+          unit.movement += value;
+        } else {
+          unit[stat] += value;
+        }
+      }
+    }
+
+    sumGroupBonuses(groupBonuses, unitType) {
+      let total = 0;
+      for (const [group, value] of Object.entries(groupBonuses)) {
+        if (this.isUnitInGroup(unitType, group)) {
+          total += value;
+        }
+      }
+      return total;
+    }
+
+    isUnitInGroup(unitType, group) {
+      return group === 'all_units' || this.game.Rules.isUnitInGroup(unitType, group);
+    }
+
+    hasNearbyFriendlyCity(cityEntity, maxDistance) {
+      return this.game.entities.some(entity =>
+        entity !== cityEntity &&
+        entity.city &&
+        entity.city.owner === cityEntity.city.owner &&
+        this.game.grid.isInRange(
+          entity.city.position.x, entity.city.position.y,
+          cityEntity.city.position.x, cityEntity.city.position.y,
+          maxDistance
+        )
+      );
+    }
+
+    addToGroup(groupBonuses, group, value) {
+      groupBonuses[group] = (groupBonuses[group] || 0) + value;
+    }
+
+    addYields(target, yields) {
+      for (const [resource, value] of Object.entries(yields)) {
+        target[resource] = (target[resource] || 0) + value;
+      }
+    }
+  }
+
+  return new CivilizationSystem(gameEngine);
+};
@@ -3,6 +3,33 @@
  * Handles combat mechanics between units and cities
  */
 module.exports = function(gameEngine) {
+  // Defense bonus per point of a terrain's defense_bonus in data/terrains.json
+  const TERRAIN_DEFENSE_PER_POINT = 0.25;
+
+  // Defense bonus of a fortified unit
+  const FORTIFY_DEFENSE_BONUS = 0.25;
+
+  // Attack penalty for attacking a unit on a river from off the river
+  const RIVER_CROSSING_PENALTY = 0.25;
+
+  // Attack bonus for attacking down from higher terrain
+  const HIGH_GROUND_ATTACK_BONUS = 0.25;
+
+  // Defense added to a unit defending in a city
+  const CITY_DEFENSE_BONUS = 5;
+
+  // Spread of the random factor applied to every attack (0.15 = ±15%)
+  const COMBAT_RANDOMNESS = 0.15;
+
+  // Strength of a ranged attack relative to the unit's attack, and the share
+  // of the usual experience it earns
+  const RANGED_ATTACK_MULTIPLIER = 0.75;
+  const RANGED_EXPERIENCE_SHARE = 0.7;
+
+  // Chance that the defender strikes back, and the share of its defense it deals
+  const COUNTERATTACK_CHANCE = 0.3;
+  const COUNTERATTACK_RATIO = 0.3;
+
   class CombatSystem {
     constructor(game) {
       this.game = game;
@@ -30,13 +57,17 @@ module.exports = function(gameEngine) {
         return { success: false, error: 'Cannot attack friendly unit' };
       }
 
+      // Each attack uses up an action
+      if (!attacker.unit.performAction()) {
+        return { success: false, error: `${attacker.unit.type} has no action left this turn` };
+      }
+
       // Calculate base attack and defense values
       const attackValue = this.calculateAttackValue(attacker, defender);
       const defenseValue = this.calculateDefenseValue(defender, attacker);
 
       // Apply random factor to make combat less deterministic
-      const randomness = 0.15; // 15% randomness
-      const randomFactor = 1 + (Math.random() * randomness * 2 - randomness);
+      const randomFactor = 1 + this.game.random.gameplay.nextFloat(-COMBAT_RANDOMNESS, COMBAT_RANDOMNESS);
       
       const modifiedAttack = attackValue * randomFactor;
       
@@ -48,12 +79,14 @@ module.exports = function(gameEngine) {
       
       // Calculate experience gain for attacker
       const experienceGain = this.calculateExperienceGain(attacker, defender, rawDamage);
-      attacker.unit.gainExperience(experienceGain);
+      this.game.systems.PromotionSystem.awardExperience(attacker, experienceGain);
       
       // Check if attacker gets wounded in return
-      if (Math.random() < 0.3) { // 30% chance of counterattack
-        const counterDamage = Math.max(1, defenseValue * 0.3);
-        const attackerWasWounded = attacker.unit.takeDamage(counterDamage);
+      let counterDamage = 0;
+      let attackerWasDestroyed = false;
+      if (this.game.random.gameplay.chance(COUNTERATTACK_CHANCE)) {
+        counterDamage = this.getCounterDamage(defenseValue);
+        attackerWasDestroyed = attacker.unit.takeDamage(counterDamage);
       }
 
       // Log combat result
@@ -65,8 +98,8 @@ module.exports = function(gameEngine) {
         success: true,
         attacker: {
           id: attacker.id,
-          damageTaken: 0, // Would be updated if attacker took counter damage
-          destroyed: false
+          damageTaken: counterDamage,
+          destroyed: attackerWasDestroyed
         },
         defender: {
           id: defender.id,
@@ -78,68 +111,243 @@ module.exports = function(gameEngine) {
     }
 
     /**
-     * Calculates the effective attack value considering various factors
+     * Previews a combat between two units without changing any state
+     * Mirrors performCombat: the attacker deals its attack, scaled by a random
+     * factor, minus the defense, and may take a counterattack; ranged units
+     * are previewed as performRangedAttack
+     * @param {Object} attacker - The attacking entity
+     * @param {Object} defender - The defending entity
+     * @returns {Object} Itemized attack and defense, the damage range and
+     *   destruction chance of each side, and the attacker's chance to win
      */
-    calculateAttackValue(attacker, defender) {
-      let attackValue = attacker.unit.attack;
-
-      // Apply terrain bonuses
-      if (attacker.position) {
-        const attackerTile = this.getTileAt(attacker.position.x, attacker.position.y);
-        if (attackerTile) {
-          attackValue *= attackerTile.terrainModifier;
-        }
+    previewCombat(attacker, defender) {
+      if (!attacker || !attacker.unit || !defender || !defender.unit) {
+        return { success: false, error: 'Invalid combatants' };
+      }
+      if (attacker.unit.owner === defender.unit.owner) {
+        return { success: false, error: 'Cannot attack friendly unit' };
       }
 
-      // Apply unit promotions or special abilities
-      if (attacker.unit.promoted) {
-        attackValue *= 1.2; // 20% bonus for promoted units
+      const attack = this.getAttackBreakdown(attacker, defender);
+      const defense = this.getDefenseBreakdown(defender, attacker);
+
+      // Ranged attacks are weaker but cannot be struck back
+      const ranged = this.isRangedUnit(attacker.unit);
+      const attackValue = ranged ? attack.total * RANGED_ATTACK_MULTIPLIER : attack.total;
+      const dealt = this.getDamageOdds(attackValue, defense.total, defender.unit.health);
+
+      const counterDamage = ranged ? 0 : this.getCounterDamage(defense.total);
+      const taken = {
+        min: 0,
+        max: counterDamage,
+        expected: counterDamage * COUNTERATTACK_CHANCE,
+        destroyChance: counterDamage > 0 && counterDamage >= attacker.unit.health ? COUNTERATTACK_CHANCE : 0
+      };
+
+      return {
+        success: true,
+        ranged,
+        attack,
+        defense,
+        attacker: { id: attacker.id, health: attacker.unit.health, damage: taken },
+        defender: { id: defender.id, health: defender.unit.health, damage: dealt },
+        // The attacker wins by destroying the defender and surviving the counterattack
+        winChance: dealt.destroyChance * (1 - taken.destroyChance)
+      };
+    }
+
+    /**
+     * Gets the spread of damage an attack deals
+     * The random factor is uniform over ±COMBAT_RANDOMNESS and every hit deals at least 1
+     * @param {number} attackValue - Attack before the random factor
+     * @param {number} defenseValue - Defense of the target
+     * @param {number} health - Health of the target
+     * @returns {Object} { min, max, expected, destroyChance }
+     */
+    getDamageOdds(attackValue, defenseValue, health) {
+      const low = 1 - COMBAT_RANDOMNESS;
+      const high = 1 + COMBAT_RANDOMNESS;
+      const damageAt = factor => Math.max(1, attackValue * factor - defenseValue);
+
+      // Random factor above which a hit deals more than the minimum damage
+      const threshold = attackValue > 0 ? Math.min(high, Math.max(low, (defenseValue + 1) / attackValue)) : high;
+      const minimumShare = (threshold - low) / (high - low);
+      const expected = minimumShare +
+        (1 - minimumShare) * (damageAt(threshold) + damageAt(high)) / 2;
+
+      let destroyChance = 0;
+      if (health <= 1) {
+        destroyChance = 1;
+      } else if (attackValue > 0) {
+        const lethalFactor = (health + defenseValue) / attackValue;
+        destroyChance = Math.min(1, Math.max(0, (high - lethalFactor) / (high - low)));
       }
 
-      // Apply civilization bonuses against specific unit types
-      // (would be based on technology/research)
-      const civilizationBonus = this.getCivilizationCombatBonus(
-        attacker.unit.owner, 
-        defender.unit.type
-      );
-      attackValue += civilizationBonus;
+      return { min: damageAt(low), max: damageAt(high), expected, destroyChance };
+    }
 
-      // Apply unit-specific bonuses (e.g., anti-cavalry units vs cavalry)
-      const unitSpecificBonus = this.getUnitSpecificBonus(attacker.unit.type, defender.unit.type);
-      attackValue += unitSpecificBonus;
+    /**
+     * Gets the damage of a counterattack by a unit with the given defense
+     */
+    getCounterDamage(defenseValue) {
+      return Math.max(1, defenseValue * COUNTERATTACK_RATIO);
+    }
 
-      return attackValue;
+    /**
+     * Calculates the effective attack value considering various factors
+     */
+    calculateAttackValue(attacker, defender) {
+      return this.getAttackBreakdown(attacker, defender).total;
     }
 
     /**
      * Calculates the effective defense value considering various factors
      */
     calculateDefenseValue(defender, attacker) {
-      let defenseValue = defender.unit.defense;
+      return this.getDefenseBreakdown(defender, attacker).total;
+    }
 
-      // Apply terrain bonuses
-      if (defender.position) {
-        const defenderTile = this.getTileAt(defender.position.x, defender.position.y);
-        if (defenderTile) {
-          defenseValue += defenderTile.defenseBonus;
+    /**
+     * Itemizes the attack of a unit against a defender
+     * @param {Object} attacker - The attacking entity
+     * @param {Object} defender - The defending unit or city entity
+     * @returns {Object} Breakdown, see totalBreakdown
+     */
+    getAttackBreakdown(attacker, defender) {
+      const unit = attacker.unit;
+      const modifiers = [];
+
+      // Terrain: attacking across a river or down from high ground
+      const attackerTile = this.getEntityTile(attacker);
+      const defenderTile = this.getEntityTile(defender);
+      if (attackerTile && defenderTile) {
+        if (defenderTile.river && !attackerTile.river) {
+          modifiers.push({ type: 'river_crossing', percent: -RIVER_CROSSING_PENALTY });
+        }
+        const visibility = this.game.systems.VisibilitySystem;
+        const target = this.getEntityPosition(defender);
+        if (visibility.getElevation(attacker.position.x, attacker.position.y) >
+            visibility.getElevation(target.x, target.y)) {
+          modifiers.push({ type: 'high_ground', source: attackerTile.type, percent: HIGH_GROUND_ATTACK_BONUS });
         }
       }
 
-      // Apply city defense bonus if defending in a city
+      // Unit promotions (e.g. Veteran, or Shock in open terrain)
+      modifiers.push(...this.getPromotionModifiers(unit, 'attack', defender));
+
+      // Civilization strength bonuses (e.g. mounted or naval units)
+      modifiers.push({ type: 'civilization', percent: this.getCivilizationCombatBonus(unit) });
+
+      // Unit-specific bonuses (e.g., anti-cavalry units vs cavalry)
+      if (defender.unit) {
+        modifiers.push({ type: 'unit_bonus', source: defender.unit.type, flat: this.getUnitSpecificBonus(unit.type, defender.unit.type) });
+      }
+
+      return this.totalBreakdown(unit.attack, modifiers);
+    }
+
+    /**
+     * Itemizes the defense of a unit against an attacker
+     * @param {Object} defender - The defending entity
+     * @param {Object} attacker - The attacking entity
+     * @returns {Object} Breakdown, see totalBreakdown
+     */
+    getDefenseBreakdown(defender, attacker) {
+      const unit = defender.unit;
+      const modifiers = [];
+
+      // Terrain defense_bonus from terrains.json, and fortification
+      const tile = this.getEntityTile(defender);
+      const terrain = tile ? this.game.Rules.getTerrainDefinition(tile.type) : null;
+      if (terrain) {
+        modifiers.push({ type: 'terrain', source: tile.type, percent: terrain.defense_bonus * TERRAIN_DEFENSE_PER_POINT });
+      }
+      if (unit.fortified) {
+        modifiers.push({ type: 'fortified', percent: FORTIFY_DEFENSE_BONUS });
+      }
+
+      // Promotions (e.g. Veteran, or Cover against ranged attackers)
+      modifiers.push(...this.getPromotionModifiers(unit, 'defense', defender, attacker.unit));
+
+      // Civilization strength bonuses
+      modifiers.push({ type: 'civilization', percent: this.getCivilizationCombatBonus(unit) });
+
+      // Cities provide significant defensive bonus
+      const city = this.getDefendingCity(defender);
+      if (city) {
+        modifiers.push({ type: 'city', source: city.name, flat: CITY_DEFENSE_BONUS });
+      }
+
+      // Unit-specific defensive bonuses
+      modifiers.push({ type: 'unit_bonus', source: attacker.unit.type, flat: this.getUnitDefenseBonus(unit.type, attacker.unit.type) });
+
+      return this.totalBreakdown(unit.defense, modifiers);
+    }
+
+    /**
+     * Totals a combat value from its base and modifiers
+     * Percentage modifiers add up and scale the base; flat modifiers are added after
+     * @param {number} base - Base attack or defense of the unit
+     * @param {Array} modifiers - Array of { type, source, percent } or { type, source, flat }
+     * @returns {Object} { base, modifiers, total }, leaving out modifiers worth nothing
+     */
+    totalBreakdown(base, modifiers) {
+      const applied = modifiers.filter(modifier => modifier.percent || modifier.flat);
+      const percent = applied.reduce((sum, modifier) => sum + (modifier.percent || 0), 0);
+      const flat = applied.reduce((sum, modifier) => sum + (modifier.flat || 0), 0);
+
+      return { base, modifiers: applied, total: base * (1 + percent) + flat };
+    }
+
+    /**
+     * Gets the city a unit defends, if it stands in one
+     * @returns {Object|null} City component
+     */
+    getDefendingCity(defender) {
       if (defender.city) {
-        defenseValue += 5; // Cities provide significant defensive bonus
+        return defender.city;
       }
+      if (!defender.position) {
+        return null;
+      }
+
+      const cityEntity = this.game.entities.find(entity =>
+        entity.city && entity.city.position.x === defender.position.x && entity.city.position.y === defender.position.y
+      );
+      return cityEntity ? cityEntity.city : null;
+    }
+
+    getEntityTile(entity) {
+      const position = this.getEntityPosition(entity);
+      return position ? this.getTileAt(position.x, position.y) : null;
+    }
 
-      // Apply promotions or special abilities
-      if (defender.unit.promoted) {
-        defenseValue *= 1.15; // 15% bonus for promoted units
+    /**
+     * Gets where a unit or city entity stands
+     */
+    getEntityPosition(entity) {
+      if (!entity) {
+        return null;
       }
+      return entity.city ? entity.city.position : entity.position || null;
+    }
 
-      // Apply unit-specific defensive bonuses
-      const unitSpecificBonus = this.getUnitDefenseBonus(defender.unit.type, attacker.unit.type);
-      defenseValue += unitSpecificBonus;
+    /**
+     * Gets the modifiers of a unit's promotions in a battle
+     * The battle is fought on the defender's tile
+     * @param {Object} unit - Unit whose promotions apply
+     * @param {string} role - 'attack' or 'defense'
+     * @param {Object} defender - Defending entity, whose tile is fought over
+     * @param {Object} opponent - Opposing unit component (the defender's unit by default)
+     * @returns {Array} Breakdown modifiers, one per promotion that applies
+     */
+    getPromotionModifiers(unit, role, defender, opponent = defender.unit) {
+      const tile = this.getEntityTile(defender);
 
-      return defenseValue;
+      return this.game.systems.PromotionSystem.getCombatModifiers(unit, role, {
+        opponent,
+        terrain: tile ? tile.type : null
+      }).map(({ promotion, value }) => ({ type: 'promotion', source: promotion, percent: value }));
     }
 
     /**
@@ -157,6 +365,12 @@ module.exports = function(gameEngine) {
       // Additional experience based on damage dealt
       expGain *= (damageDealt / defender.unit.maxHealth);
       
+      // Technology bonuses to unit training
+      const player = this.game.gameState.players[attacker.unit.owner];
+      if (player) {
+        expGain *= (1 + player.modifiers.unitExperience);
+      }
+      
       // Experience cap per combat
       expGain = Math.min(expGain, 50);
       
@@ -172,60 +386,98 @@ module.exports = function(gameEngine) {
         return false;
       }
 
+      return this.checkAttack(attacker, defender).success;
+    }
+
+    /**
+     * Checks whether a unit can strike a target now
+     * Melee units reach adjacent tiles; ranged units reach their range but
+     * need line of sight to the target
+     * @param {Object} attacker - The attacking entity
+     * @param {Object} target - Unit or city entity
+     * @returns {Object} { success: true } or { success: false, error }
+     */
+    checkAttack(attacker, target) {
+      const owner = target.unit ? target.unit.owner : target.city.owner;
+      const position = target.city ? target.city.position : target.position;
+
       // Check if they are enemies
-      if (attacker.unit.owner === defender.unit.owner) {
-        return false;
+      if (attacker.unit.owner === owner) {
+        return { success: false, error: 'Cannot attack a friendly target' };
       }
 
-      // Check if attacker has enough movement points to attack
+      // Check if attacker has an action left to attack with
       if (attacker.unit.actionsRemaining <= 0) {
-        return false;
+        return { success: false, error: `${attacker.unit.type} has no action left this turn` };
       }
 
-      // Check if defender is within attack range
-      const distance = this.getDistanceBetween(attacker, defender);
-      if (distance > attacker.unit.range) {
-        return false;
+      // Check if the target is within attack range
+      const { x, y } = attacker.position;
+      if (this.game.grid.getDistance(x, y, position.x, position.y) > this.getAttackRange(attacker.unit)) {
+        return { success: false, error: 'Target is out of range' };
+      }
+
+      if (this.isRangedUnit(attacker.unit) &&
+          !this.game.systems.VisibilitySystem.hasLineOfSight(x, y, position.x, position.y)) {
+        return { success: false, error: 'Target is not in line of sight' };
       }
 
-      return true;
+      return { success: true };
+    }
+
+    /**
+     * Checks whether a unit attacks from range, as defined by its range in units.json
+     */
+    isRangedUnit(unit) {
+      const definition = this.game.Rules.getUnitDefinition(unit.type);
+      return !!definition && definition.range > 1;
+    }
+
+    /**
+     * Gets how far a unit can attack
+     * Melee units only reach adjacent tiles
+     */
+    getAttackRange(unit) {
+      return this.isRangedUnit(unit) ? unit.range : 1;
     }
 
     /**
      * Performs a ranged attack
+     * The defender cannot strike back, and the attacker never moves in
      */
     performRangedAttack(attacker, defender) {
-      // Ranged attacks have different rules
-      // Typically don't trigger counterattacks
-      if (!this.isValidAttack(attacker, defender)) {
+      if (!this.isValidAttack(attacker, defender) || !this.isRangedUnit(attacker.unit)) {
         return { success: false, error: 'Invalid ranged attack' };
       }
 
       // Calculate base attack value without risk of counterattack
-      const attackValue = this.calculateAttackValue(attacker, defender);
+      const attackValue = this.calculateAttackValue(attacker, defender) * RANGED_ATTACK_MULTIPLIER;
       const defenseValue = this.calculateDefenseValue(defender, attacker);
 
-      // Ranged attacks often have reduced effectiveness
-      const rangedPenalty = 0.75;
-      const modifiedAttack = attackValue * rangedPenalty;
+      const randomFactor = 1 + this.game.random.gameplay.nextFloat(-COMBAT_RANDOMNESS, COMBAT_RANDOMNESS);
 
       // Calculate damage
-      const rawDamage = Math.max(1, modifiedAttack - defenseValue);
+      const rawDamage = Math.max(1, attackValue * randomFactor - defenseValue);
 
       // Apply damage to defender
       const defenderWasDestroyed = defender.unit.takeDamage(rawDamage);
 
       // Experience gain for ranged kill
-      const experienceGain = Math.floor(this.calculateExperienceGain(attacker, defender, rawDamage) * 0.7);
-      attacker.unit.gainExperience(experienceGain);
+      const experienceGain = Math.floor(this.calculateExperienceGain(attacker, defender, rawDamage) * RANGED_EXPERIENCE_SHARE);
+      this.game.systems.PromotionSystem.awardExperience(attacker, experienceGain);
 
       // Attacker consumes an action but not necessarily all movement
       attacker.unit.performAction();
 
+      console.log(`Ranged attack: ${attacker.unit.type}(${attacker.unit.owner}) fired on ${defender.unit.type}(${defender.unit.owner})`);
+
       return {
         success: true,
+        ranged: true,
         attacker: {
           id: attacker.id,
+          damageTaken: 0,
+          destroyed: false,
           actionsUsed: 1
         },
         defender: {
@@ -239,55 +491,66 @@ module.exports = function(gameEngine) {
 
     /**
      * Performs a city attack
+     * Ranged units bombard the city from range but can never bring it below
+     * 1 health, so only melee units can take a city: the result reports the
+     * city as fallen once a melee attack empties its health
+     * @param {Object} attacker - The attacking entity
+     * @param {Object} cityEntity - The city entity under attack
      */
-    attackCity(attacker, city) {
+    attackCity(attacker, cityEntity) {
       // Validate attack
-      if (!attacker || !attacker.unit || !city || !city.defense) {
+      if (!attacker || !attacker.unit || !cityEntity || !cityEntity.city) {
         return { success: false, error: 'Invalid city attack' };
       }
 
-      if (attacker.unit.owner === city.owner) {
-        return { success: false, error: 'Cannot attack friendly city' };
+      const check = this.checkAttack(attacker, cityEntity);
+      if (!check.success) {
+        return check;
       }
 
+      const city = cityEntity.city;
+      const ranged = this.isRangedUnit(attacker.unit);
+
       // City combat has special rules
-      const attackValue = this.calculateAttackValue(attacker, { unit: { defense: city.defense } });
+      let attackValue = this.calculateAttackValue(attacker, cityEntity);
+      if (ranged) {
+        attackValue *= RANGED_ATTACK_MULTIPLIER;
+      }
       
-      // Cities have high defense but don't counterattack
-      const cityDefense = city.defense + this.getCityDefenseBonus(city);
-      const rawDamage = Math.max(1, attackValue - cityDefense);
+      // Cities have high defense, walls included, but don't counterattack
+      const rawDamage = Math.max(1, attackValue - city.defense);
 
       // Instead of destroying the city immediately, reduce its health
-      city.health = Math.max(0, city.health - rawDamage);
+      city.health = Math.max(ranged ? 1 : 0, city.health - rawDamage);
+      attacker.unit.performAction();
 
       // Units don't gain experience from attacking cities
       // But they might gain experience if they eliminate defending units
 
-      const cityDestroyed = city.health <= 0;
-
       return {
         success: true,
+        ranged,
         attacker: { id: attacker.id },
         city: {
-          id: city.id,
+          id: cityEntity.id,
           damageTaken: rawDamage,
-          destroyed: cityDestroyed
+          fallen: city.health <= 0
         }
       };
     }
 
     /**
-     * Helper function to get tile at position
+     * Gets the map tile at a position
+     * @returns {Object|null} Tile component, or null off the map
      */
     getTileAt(x, y) {
-      // This would normally access the actual tile data
-      // For now, return a mock tile
-      return {
-        x: x,
-        y: y,
-        defenseBonus: 0,
-        terrainModifier: 1.0
-      };
+      const map = this.game.gameState.map;
+      if (!map || !this.game.grid.isInBounds(x, y)) {
+        return null;
+      }
+
+      const tile = this.game.grid.wrap(x, y);
+      return map[tile.x][tile.y];
     }
 
     /**
@@ -298,17 +561,20 @@ module.exports = function(gameEngine) {
         return Infinity;
       }
 
-      return Math.abs(entity1.position.x - entity2.position.x) + 
-             Math.abs(entity1.position.y - entity2.position.y);
+      return this.game.grid.getDistance(
+        entity1.position.x, entity1.position.y,
+        entity2.position.x, entity2.position.y
+      );
     }
 
     /**
      * Gets civilization-specific combat bonuses
+     * @param {Object} unit - The fighting unit
+     * @returns {number} Fractional strength bonus (0.5 = +50%)
      */
-    getCivilizationCombatBonus(civilization, opponentUnitType) {
-      // This would be based on civilization traits and techs
-      // For now, returning 0
-      return 0;
+    getCivilizationCombatBonus(unit) {
+      if (unit.owner === undefined) return 0;
+      return this.game.systems.CivilizationSystem.getCombatBonus(unit.owner, unit.type);
     }
 
     /**
@@ -347,19 +613,6 @@ module.exports = function(gameEngine) {
 
       return 0;
     }
-
-    /**
-     * Gets city defense bonus based on improvements
-     */
-    getCityDefenseBonus(city) {
-      // Cities get bonuses from walls, castles, etc.
-      let bonus = 0;
-      if (city.improvements) {
-        if (city.improvements.includes('walls')) bonus += 5;
-        if (city.improvements.includes('castle')) bonus += 10;
-      }
-      return bonus;
-    }
   }
 
   return new CombatSystem(gameEngine);
@@ -0,0 +1,262 @@
+/**
+ * Governor System
+ * Decides what each city's citizens do: which tiles within the city radius
+ * they work and which become specialists, according to the city's focus
+ */
+module.exports = function(gameEngine) {
+  // Extra weight on food while the city would otherwise starve
+  const STARVATION_WEIGHT = 4;
+
+  // Yield weights used to score tiles and specialists for each focus
+  const FOCUS_WEIGHTS = {
+    balanced: { food: 1.5, production: 1.2, gold: 1, science: 1, culture: 0.8 },
+    food: { food: 3, production: 1, gold: 0.5, science: 0.5, culture: 0.5 },
+    production: { food: 1, production: 3, gold: 0.5, science: 0.5, culture: 0.5 },
+    gold: { food: 1, production: 0.5, gold: 3, science: 0.5, culture: 0.5 },
+    science: { food: 1, production: 0.5, gold: 0.5, science: 3, culture: 0.5 },
+    culture: { food: 1, production: 0.5, gold: 0.5, science: 0.5, culture: 3 }
+  };
+
+  class GovernorSystem {
+    constructor(game) {
+      this.game = game;
+    }
+
+    update(delta) {
+      // Citizens are reassigned when cities change, not every frame
+    }
+
+    /**
+     * Gets the focus modes a city can use
+     * @returns {Array} Focus keys
+     */
+    getFocusModes() {
+      return Object.keys(FOCUS_WEIGHTS);
+    }
+
+    /**
+     * Reassigns a city's citizens if its population changed or it lost a worked tile
+     * @param {Object} cityEntity - City entity
+     * @returns {boolean} Whether the citizens were reassigned
+     */
+    refreshCity(cityEntity) {
+      const city = cityEntity.city;
+      const center = `${city.position.x},${city.position.y}`;
+      const citizens = city.workedTiles.filter(tileKey => tileKey !== center).length + city.getSpecialistCount();
+
+      const lostTile = city.workedTiles.some(tileKey => {
+        const [x, y] = tileKey.split(',').map(Number);
+        return !this.isTileAvailable(cityEntity, x, y);
+      });
+
+      if (!city.workedTiles.includes(center) || citizens !== city.population || lostTile) {
+        this.assignCitizens(cityEntity);
+        return true;
+      }
+      return false;
+    }
+
+    /**
+     * Assigns every citizen of a city to a tile or a specialist
+     * The city center is always worked for free; locked tiles are worked
+     * first, then each remaining citizen takes whatever scores best for the
+     * city's focus, preferring food while the city would starve
+     * @param {Object} cityEntity - City entity
+     */
+    assignCitizens(cityEntity) {
+      const city = cityEntity.city;
+      const player = this.game.gameState.players[city.owner] || null;
+      const grid = this.game.grid;
+      const { x: centerX, y: centerY } = city.position;
+
+      // Tiles the city can no longer work lose their lock
+      city.lockedTiles = city.lockedTiles.filter(tileKey => {
+        const [x, y] = tileKey.split(',').map(Number);
+        return this.isTileAvailable(cityEntity, x, y);
+      });
+
+      city.workedTiles = [];
+      for (const type of Object.keys(city.specialists)) {
+        while (city.specialists[type] > 0) {
+          city.removeSpecialist(type);
+        }
+      }
+
+      city.assignTile(centerX, centerY, grid);
+      const centerTile = this.getTile(centerX, centerY);
+      let food = centerTile ? centerTile.getYield('food', player) : 0;
+      const foodNeeded = city.getFoodConsumption();
+      let citizens = city.population;
+
+      for (const tileKey of city.lockedTiles) {
+        if (citizens <= 0) break;
+
+        const [x, y] = tileKey.split(',').map(Number);
+        city.assignTile(x, y, grid);
+        food += this.getTile(x, y).getYield('food', player);
+        citizens--;
+      }
+
+      const candidates = this.getAvailableTiles(cityEntity)
+        .filter(({x, y}) => !city.workedTiles.includes(`${x},${y}`))
+        .map(({x, y}) => ({ x, y, yields: this.getTile(x, y).getYields(player) }));
+
+      const weights = FOCUS_WEIGHTS[city.focus] || FOCUS_WEIGHTS.balanced;
+
+      for (; citizens > 0; citizens--) {
+        const starving = food < foodNeeded;
+        let bestIndex = -1;
+        let bestScore = -Infinity;
+
+        candidates.forEach((candidate, index) => {
+          const score = this.scoreYields(candidate.yields, weights, starving);
+          if (score > bestScore) {
+            bestIndex = index;
+            bestScore = score;
+          }
+        });
+
+        const specialist = this.getBestSpecialist(weights);
+        if (bestIndex === -1 || specialist.score > bestScore) {
+          city.addSpecialist(specialist.type);
+          continue;
+        }
+
+        const [tile] = candidates.splice(bestIndex, 1);
+        city.assignTile(tile.x, tile.y, grid);
+        food += tile.yields.food;
+      }
+    }
+
+    /**
+     * Scores yields for a focus
+     * @param {Object} yields - Yields by resource
+     * @param {Object} weights - Focus weights
+     * @param {boolean} starving - Whether the city still needs food
+     */
+    scoreYields(yields, weights, starving) {
+      let score = 0;
+      for (const [resource, amount] of Object.entries(yields)) {
+        score += amount * (weights[resource] || 0);
+      }
+      return starving ? score + (yields.food || 0) * STARVATION_WEIGHT : score;
+    }
+
+    /**
+     * Gets the specialist that best suits a focus
+     * @returns {Object} { type, score }
+     */
+    getBestSpecialist(weights) {
+      let best = null;
+      for (const [type, yields] of Object.entries(this.game.components.City.getSpecialistYields())) {
+        const score = this.scoreYields(yields, weights, false);
+        if (!best || score > best.score) {
+          best = { type, score };
+        }
+      }
+      return best;
+    }
+
+    /**
+     * Gets the tiles a city may work within its radius
+     * @returns {Array} Array of {x, y}, nearest first
+     */
+    getAvailableTiles(cityEntity) {
+      const { x, y } = cityEntity.city.position;
+      return this.game.grid.getTilesInRange(x, y, cityEntity.city.tileRadius)
+        .filter(tile => this.isTileAvailable(cityEntity, tile.x, tile.y));
+    }
+
+    /**
+     * Checks whether a city may work a tile
+     * Tiles in another player's territory or worked by another city are unavailable
+     */
+    isTileAvailable(cityEntity, x, y) {
+      const city = cityEntity.city;
+      const tile = this.getTile(x, y);
+      if (!tile ||
+          !this.game.grid.isInRange(city.position.x, city.position.y, x, y, city.tileRadius) ||
+          (tile.owner !== null && tile.owner !== city.owner)) {
+        return false;
+      }
+
+      const tileKey = `${x},${y}`;
+      return !this.game.entities.some(entity =>
+        entity.city && entity !== cityEntity && entity.city.workedTiles.includes(tileKey)
+      );
+    }
+
+    getTile(x, y) {
+      const map = this.game.gameState.map;
+      return map && map[x] ? map[x][y] || null : null;
+    }
+
+    /**
+     * Sets a city's focus and reassigns its citizens
+     * @param {number} cityId - ID of the city entity
+     * @param {string} focus - One of getFocusModes()
+     * @returns {Object} Result of the request
+     */
+    setFocus(cityId, focus) {
+      const cityEntity = this.game.getEntityById(cityId);
+      if (!cityEntity || !cityEntity.city) {
+        return { success: false, error: 'Invalid city' };
+      }
+      if (!FOCUS_WEIGHTS[focus]) {
+        return { success: false, error: `Unknown focus ${focus}` };
+      }
+
+      cityEntity.city.focus = focus;
+      this.assignCitizens(cityEntity);
+      return { success: true, focus };
+    }
+
+    /**
+     * Locks a tile so a citizen always works it, and reassigns the city
+     * @returns {Object} Result of the request
+     */
+    lockTile(cityId, x, y) {
+      const cityEntity = this.game.getEntityById(cityId);
+      if (!cityEntity || !cityEntity.city) {
+        return { success: false, error: 'Invalid city' };
+      }
+
+      const city = cityEntity.city;
+      const tile = this.game.grid.wrap(x, y);
+      if (tile.x === city.position.x && tile.y === city.position.y) {
+        return { success: false, error: 'The city center is always worked' };
+      }
+      if (!this.isTileAvailable(cityEntity, tile.x, tile.y)) {
+        return { success: false, error: `${city.name} cannot work (${tile.x}, ${tile.y})` };
+      }
+      if (!city.isTileLocked(tile.x, tile.y) && city.lockedTiles.length >= city.population) {
+        return { success: false, error: `${city.name} has no free citizen to work another tile` };
+      }
+
+      city.lockTile(tile.x, tile.y);
+      this.assignCitizens(cityEntity);
+      return { success: true, x: tile.x, y: tile.y };
+    }
+
+    /**
+     * Unlocks a tile and lets the governor reassign the city
+     * @returns {Object} Result of the request
+     */
+    unlockTile(cityId, x, y) {
+      const cityEntity = this.game.getEntityById(cityId);
+      if (!cityEntity || !cityEntity.city) {
+        return { success: false, error: 'Invalid city' };
+      }
+
+      const tile = this.game.grid.wrap(x, y);
+      if (!cityEntity.city.unlockTile(tile.x, tile.y)) {
+        return { success: false, error: `(${tile.x}, ${tile.y}) is not locked` };
+      }
+
+      this.assignCitizens(cityEntity);
+      return { success: true, x: tile.x, y: tile.y };
+    }
+  }
+
+  return new GovernorSystem(gameEngine);
+};
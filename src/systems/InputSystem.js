@@ -23,6 +23,12 @@ module.exports = function(gameEngine) {
       
       // Store selected entity
       this.selectedEntity = null;
+      
+      // Odds of the selected unit attacking the enemy under the mouse, for the tooltip
+      this.combatPreview = null;
+      
+      // Camera scroll speed in pixels per frame
+      this.cameraSpeed = 8;
     }
 
     setupEventListeners() {
@@ -33,6 +39,10 @@ module.exports = function(gameEngine) {
         // Handle specific key combinations
         if (event.key === 'Escape') {
           this.deselectCurrentEntity();
+        } else if (event.key.toLowerCase() === 'u') {
+          this.upgradeSelectedUnit();
+        } else if (event.key.toLowerCase() === 'f') {
+          this.fortifySelectedUnit();
         }
       });
       
@@ -81,10 +91,9 @@ module.exports = function(gameEngine) {
       const gameY = (event.clientY - rect.top) / this.app.renderer.resolution;
       
       // Determine which tile was clicked
-      const tileX = Math.floor(gameX / this.game.systems.RenderSystem.tileSize);
-      const tileY = Math.floor(gameY / this.app.renderer.resolution);
+      const tile = this.game.systems.RenderSystem.screenToTile(gameX, gameY);
       
-      this.processTileClick(tileX, tileY, event.button);
+      this.processTileClick(tile.x, tile.y, event.button);
     }
 
     handleMouseUp(event) {
@@ -95,6 +104,27 @@ module.exports = function(gameEngine) {
     handleMouseMove(event) {
       this.mouseState.x = event.clientX;
       this.mouseState.y = event.clientY;
+      
+      const rect = this.app.view.getBoundingClientRect();
+      const gameX = (event.clientX - rect.left) / this.app.renderer.resolution;
+      const gameY = (event.clientY - rect.top) / this.app.renderer.resolution;
+      const tile = this.game.systems.RenderSystem.screenToTile(gameX, gameY);
+      
+      this.updateCombatPreview(tile.x, tile.y);
+    }
+
+    /**
+     * Previews an attack by the selected unit on the enemy unit at a tile
+     */
+    updateCombatPreview(tileX, tileY) {
+      const target = this.findEntityAt(tileX, tileY);
+      const selected = this.selectedEntity;
+      
+      if (selected && selected.unit && target && target.unit && target.unit.owner !== selected.unit.owner) {
+        this.combatPreview = this.game.systems.CombatSystem.previewCombat(selected, target);
+      } else {
+        this.combatPreview = null;
+      }
     }
 
     handleTouchStart(event) {
@@ -169,6 +199,7 @@ module.exports = function(gameEngine) {
 
     deselectCurrentEntity() {
       this.selectedEntity = null;
+      this.combatPreview = null;
       this.clearHighlights();
     }
 
@@ -182,6 +213,7 @@ module.exports = function(gameEngine) {
           
           // Consume movement points
           this.selectedEntity.unit.move(x, y);
+          this.game.systems.VisibilitySystem.markDirty();
           
           // Send action to server for multiplayer
           this.sendAction('unit_move', {
@@ -193,6 +225,40 @@ module.exports = function(gameEngine) {
       }
     }
 
+    /**
+     * Fortifies the selected unit where it stands
+     */
+    fortifySelectedUnit() {
+      const entity = this.selectedEntity;
+      if (entity && entity.unit && entity.unit.fortify()) {
+        // Send action to server for multiplayer
+        this.sendAction('fortify_unit', { unitId: entity.id });
+      }
+    }
+
+    /**
+     * Upgrades the selected unit to the first unit type it can upgrade to now
+     */
+    upgradeSelectedUnit() {
+      const entity = this.selectedEntity;
+      if (!entity || !entity.unit) return;
+      
+      const options = this.game.systems.UpgradeSystem.getUpgradeOptions(entity);
+      const option = options.find(candidate => candidate.success);
+      if (!option) {
+        console.log(options.length > 0 ? options[0].error : `${entity.unit.type} has no upgrade`);
+        return;
+      }
+      
+      if (this.game.systems.UpgradeSystem.upgradeUnit(entity.id, option.unitType).success) {
+        // Send action to server for multiplayer
+        this.sendAction('upgrade_unit', {
+          unitId: entity.id,
+          unitType: option.unitType
+        });
+      }
+    }
+
     isValidMove(entity, toX, toY) {
       // Check if destination is walkable
       // Check if movement points are available
@@ -201,7 +267,7 @@ module.exports = function(gameEngine) {
       if (!entity.unit) return false;
       
       // Calculate distance
-      const distance = Math.abs(entity.position.x - toX) + Math.abs(entity.position.y - toY);
+      const distance = this.game.grid.getDistance(entity.position.x, entity.position.y, toX, toY);
       
       // Simple validation: unit must have enough movement points
       // In a real game, this would also consider terrain costs
@@ -224,49 +290,44 @@ module.exports = function(gameEngine) {
       }
     }
 
-    initiateCombat(attacker, defender) {
-      // Calculate combat outcome
-      const attackPower = attacker.unit.attack;
-      const defensePower = defender.unit.defense;
-      
-      // Simple combat resolution
-      const attackerDamage = Math.max(1, defensePower - attackPower);
-      const defenderDamage = Math.max(1, attackPower - defensePower);
-      
-      // Apply damage
-      const attackerDestroyed = attacker.unit.takeDamage(defenderDamage);
-      const defenderDestroyed = defender.unit.takeDamage(attackerDamage);
+    /**
+     * Attacks an enemy unit or city with a unit
+     * Combat is resolved by the game engine, the same way the server resolves
+     * the action, so ranged fire, counterattacks, losses and captured cities
+     * match on both sides
+     */
+    initiateCombat(attacker, target) {
+      const result = this.game.performCombat(attacker.id, target.id);
+      if (!result || !result.success) {
+        console.log(`Cannot attack: ${result ? result.error : 'invalid target'}`);
+        return;
+      }
       
-      // Report combat result
-      this.reportCombatResult(attacker, defender, attackerDestroyed, defenderDestroyed);
+      this.reportCombatResult(result);
       
       // Send action to server
-      this.sendAction('combat', {
+      this.sendAction('attack', {
         attackerId: attacker.id,
-        defenderId: defender.id,
-        attackerDamage,
-        defenderDamage,
-        attackerDestroyed,
-        defenderDestroyed
+        defenderId: target.id
       });
     }
 
     siegeCity(attacker, city) {
-      // Handle city siege mechanics
-      console.log(`Unit ${attacker.id} is besieging city ${city.id}`);
+      // Ranged units bombard the city; melee units assault it and may take it
+      this.initiateCombat(attacker, city);
     }
 
-    reportCombatResult(attacker, defender, attackerDestroyed, defenderDestroyed) {
-      if (defenderDestroyed) {
-        console.log(`Attacker destroyed defender!`);
-        // Grant experience to attacker
-        attacker.unit.gainExperience(25);
+    reportCombatResult(result) {
+      if (result.city) {
+        console.log(result.city.fallen ? 'The city has fallen!' : `City took ${result.city.damageTaken} damage`);
+        return;
       }
       
-      if (attackerDestroyed) {
+      if (result.defender.destroyed) {
+        console.log(`Attacker destroyed defender!`);
+      }
+      if (result.attacker.destroyed) {
         console.log(`Defender destroyed attacker!`);
-        // Remove attacker from game
-        this.removeFromGame(attacker);
       }
     }
 
@@ -292,32 +353,36 @@ module.exports = function(gameEngine) {
       console.log(`Sending action: ${actionType}`, data);
     }
 
-    removeFromGame(entity) {
-      // Remove entity from the game
-      const index = this.game.entities.indexOf(entity);
-      if (index !== -1) {
-        this.game.entities.splice(index, 1);
-      }
-    }
-
     update(delta) {
       // Process continuous input (like holding keys)
-      this.processContinuousInput();
+      this.processContinuousInput(delta);
     }
 
-    processContinuousInput() {
+    processContinuousInput(delta) {
+      const scroll = this.cameraSpeed * delta;
+      let dx = 0;
+      let dy = 0;
+      
       // Handle keys that are held down
       if (this.keysPressed.has('w') || this.keysPressed.has('arrowup')) {
         // Move camera up
+        dy -= scroll;
       }
       if (this.keysPressed.has('s') || this.keysPressed.has('arrowdown')) {
         // Move camera down
+        dy += scroll;
       }
       if (this.keysPressed.has('a') || this.keysPressed.has('arrowleft')) {
         // Move camera left
+        dx -= scroll;
       }
       if (this.keysPressed.has('d') || this.keysPressed.has('arrowright')) {
         // Move camera right
+        dx += scroll;
+      }
+      
+      if (dx || dy) {
+        this.game.systems.RenderSystem.scrollCamera(dx, dy);
       }
     }
   }
@@ -75,6 +75,22 @@ module.exports = function(gameEngine) {
       }
     }
 
+    /**
+     * Gets the movement points a unit starts its turn with
+     * Includes the extra movement of its promotions
+     */
+    getMaxMovement(entity) {
+      return entity.unit.maxMovement + this.game.systems.PromotionSystem.getMovementBonus(entity.unit);
+    }
+
+    /**
+     * Readies a unit for a new turn
+     */
+    resetMovement(entity) {
+      entity.unit.resetTurn();
+      entity.unit.movement = this.getMaxMovement(entity);
+    }
+
     calculateDistanceTraveled(entity) {
       // In a real implementation, this would calculate the actual path distance
       // For now, return 1 for each move action
@@ -107,7 +123,7 @@ module.exports = function(gameEngine) {
 
     canMoveTo(entity, x, y) {
       // Check if destination is within map bounds
-      if (x < 0 || y < 0 || x >= 20 || y >= 15) { // Assuming 20x15 map
+      if (!this.game.grid.isInBounds(x, y)) {
         return false;
       }
       
@@ -139,9 +155,9 @@ module.exports = function(gameEngine) {
     }
 
     getPathDistance(startX, startY, endX, endY) {
-      // Using Manhattan distance for grid-based movement
+      // Using the step distance of the map's grid topology
       // In a real implementation, this would use proper pathfinding
-      return Math.abs(endX - startX) + Math.abs(endY - startY);
+      return this.game.grid.getDistance(startX, startY, endX, endY);
     }
 
     getTileAt(x, y) {
@@ -0,0 +1,262 @@
+/**
+ * Production System
+ * Spends each city's production on the head of its production queue and
+ * completes units, buildings and wonders
+ */
+module.exports = function(gameEngine) {
+  // Terrain that makes a city next to it coastal
+  const WATER_TYPES = ['coast', 'ocean'];
+
+  class ProductionSystem {
+    constructor(game) {
+      this.game = game;
+    }
+
+    update(delta) {
+      // Production is advanced once per turn in processTurn
+    }
+
+    /**
+     * Gets the category of a production item
+     * @param {string} item - Unit type, building or wonder key
+     * @returns {string|null} 'unit', 'building', 'wonder' or null if unknown
+     */
+    getItemCategory(item) {
+      if (this.game.Rules.hasUnit(item)) {
+        return 'unit';
+      }
+      if (this.game.Rules.hasBuilding(item)) {
+        return 'building';
+      }
+      return this.game.Rules.hasWonder(item) ? 'wonder' : null;
+    }
+
+    /**
+     * Gets the production needed to complete an item
+     * @param {string} item - Unit type, building or wonder key
+     * @returns {number} Production cost
+     */
+    getItemCost(item) {
+      switch (this.getItemCategory(item)) {
+        case 'unit':
+          return this.game.Rules.getUnitCost(item).production || 0;
+        case 'building':
+          return this.game.Rules.getBuildingCost(item).production || 0;
+        case 'wonder':
+          return this.game.Rules.getWonderCost(item).production || 0;
+        default:
+          return 0;
+      }
+    }
+
+    /**
+     * Checks whether a city may add an item to its queue
+     * @param {Object} cityEntity - City entity
+     * @param {string} item - Unit type, building or wonder key
+     * @returns {Object} { success: true } or { success: false, error }
+     */
+    canProduce(cityEntity, item) {
+      const city = cityEntity.city;
+      const player = this.game.gameState.players[city.owner];
+      if (!player) {
+        return { success: false, error: 'Invalid player' };
+      }
+
+      const category = this.getItemCategory(item);
+      if (!category) {
+        return { success: false, error: `Unknown production item ${item}` };
+      }
+
+      if (category !== 'unit' && city.productionQueue.includes(item)) {
+        return { success: false, error: `${item} is already queued in ${city.name}` };
+      }
+
+      if (category === 'wonder') {
+        const builder = this.game.systems.WonderSystem.getBuilder(item);
+        if (builder) {
+          return { success: false, error: `${item} has already been built in ${builder.cityName}` };
+        }
+      }
+
+      return city.canBuild(item, this.getBuildContext(cityEntity));
+    }
+
+    /**
+     * Gets what City.canBuild needs to know about a city and its owner
+     * @param {Object} cityEntity - City entity
+     * @returns {Object} { technologies, isCoastal }
+     */
+    getBuildContext(cityEntity) {
+      const city = cityEntity.city;
+      const player = this.game.gameState.players[city.owner];
+      const map = this.game.gameState.map;
+
+      const isCoastal = !!map && this.game.grid.getNeighbors(city.position.x, city.position.y)
+        .some(({x, y}) => map[x] && map[x][y] && WATER_TYPES.includes(map[x][y].type));
+
+      return {
+        technologies: player ? player.technologies : [],
+        isCoastal
+      };
+    }
+
+    /**
+     * Adds an item to the end of a city's production queue
+     * @param {number} cityId - ID of the city entity
+     * @param {string} item - Unit type, building or wonder key
+     * @returns {Object} Result of the request
+     */
+    queueItem(cityId, item) {
+      const cityEntity = this.game.getEntityById(cityId);
+      if (!cityEntity || !cityEntity.city) {
+        return { success: false, error: 'Invalid city' };
+      }
+
+      const check = this.canProduce(cityEntity, item);
+      if (!check.success) {
+        return check;
+      }
+
+      cityEntity.city.queueProduction(item, this.getBuildContext(cityEntity));
+      return { success: true, item, queue: [...cityEntity.city.productionQueue] };
+    }
+
+    /**
+     * Removes an item from a city's production queue
+     * Production already spent on the head of the queue stays in the city
+     * and goes to the next item
+     */
+    dequeueItem(cityId, item) {
+      const cityEntity = this.game.getEntityById(cityId);
+      if (!cityEntity || !cityEntity.city) {
+        return { success: false, error: 'Invalid city' };
+      }
+
+      if (!cityEntity.city.dequeueProduction(item)) {
+        return { success: false, error: `${item} is not queued in ${cityEntity.city.name}` };
+      }
+      return { success: true, item, queue: [...cityEntity.city.productionQueue] };
+    }
+
+    /**
+     * Runs the turn of every city of a player: yields, growth and production
+     * Called once per turn when the player ends their turn
+     * @param {Object} player - The player
+     * @returns {Array} Completed items as { cityId, cityName, item, category, entityId }
+     */
+    processTurn(player) {
+      const completed = [];
+
+      const governor = this.game.systems.GovernorSystem;
+      for (const cityEntity of this.getPlayerCities(player)) {
+        // Put citizens born last turn to work and replace lost tiles before
+        // the city's yields are counted
+        governor.refreshCity(cityEntity);
+        cityEntity.city.processTurn(this.game.gameState.map, player);
+
+        const completion = this.processCityProduction(cityEntity);
+        if (completion) {
+          completed.push(completion);
+        }
+      }
+
+      return completed;
+    }
+
+    /**
+     * Adds a city's production to its stock and completes the head of its queue
+     * Production beyond the item's cost carries over to the next item; a city
+     * with nothing queued banks nothing
+     * @param {Object} cityEntity - City entity
+     * @returns {Object|null} Completion report, if an item was completed
+     */
+    processCityProduction(cityEntity) {
+      const city = cityEntity.city;
+      const item = city.productionQueue[0];
+      if (!item) {
+        return null;
+      }
+
+      city.productionStored += this.getProductionPerTurn(cityEntity);
+
+      const cost = this.getItemCost(item);
+      if (city.productionStored < cost) {
+        return null;
+      }
+
+      city.productionQueue.shift();
+      city.productionStored -= cost;
+
+      return this.completeItem(cityEntity, item);
+    }
+
+    /**
+     * Gets the production a city adds to its stock each turn
+     * Includes the owner's technology and civilization production bonuses,
+     * and the wonder production bonus while a wonder heads the queue
+     */
+    getProductionPerTurn(cityEntity) {
+      const city = cityEntity.city;
+      const context = this.game.systems.ResourceSystem.getCityContext(cityEntity);
+      const modifiers = this.game.systems.ResourceSystem.getPlayerResourceModifiers(city.owner, context);
+
+      let bonus = modifiers.production || 0;
+      if (city.productionQueue.length > 0 && this.getItemCategory(city.productionQueue[0]) === 'wonder') {
+        bonus += this.game.systems.CivilizationSystem.getWonderProductionBonus(city.owner);
+      }
+
+      return Math.floor(city.production * (1 + bonus));
+    }
+
+    /**
+     * Completes an item: spawns the unit at the city or adds the building or wonder
+     * @returns {Object} Completion report
+     */
+    completeItem(cityEntity, item) {
+      const city = cityEntity.city;
+      const category = this.getItemCategory(item);
+      let entityId = null;
+
+      if (category === 'unit') {
+        entityId = this.game.createUnit(city.owner, item, city.position.x, city.position.y).id;
+      } else if (category === 'wonder') {
+        this.game.systems.WonderSystem.completeWonder(cityEntity, item);
+      } else {
+        city.addBuilding(item);
+      }
+
+      const report = {
+        playerId: city.owner,
+        cityId: cityEntity.id,
+        cityName: city.name,
+        item,
+        category,
+        entityId
+      };
+
+      console.log(`${city.name} completed ${item}`);
+      this.game.events.emit('production_completed', report);
+
+      return report;
+    }
+
+    /**
+     * Gets the turns left until the head of a city's queue completes
+     * @returns {number|null} Turns, or null if nothing is queued or there is no production
+     */
+    getTurnsToComplete(cityEntity) {
+      const item = cityEntity.city.productionQueue[0];
+      const perTurn = this.getProductionPerTurn(cityEntity);
+      if (!item || perTurn <= 0) {
+        return null;
+      }
+      return Math.max(0, Math.ceil((this.getItemCost(item) - cityEntity.city.productionStored) / perTurn));
+    }
+
+    getPlayerCities(player) {
+      return this.game.entities.filter(entity => entity.city && entity.city.owner === player.id);
+    }
+  }
+
+  return new ProductionSystem(gameEngine);
+};
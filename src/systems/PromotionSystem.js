@@ -0,0 +1,190 @@
+/**
+ * Promotion System
+ * Lets units spend the levels they earn from experience on promotions from
+ * data/promotions.json, and sums the promotion effects that combat and
+ * movement consult
+ */
+module.exports = function(gameEngine) {
+  class PromotionSystem {
+    constructor(game) {
+      this.game = game;
+    }
+
+    update(delta) {
+      // Promotions are chosen by the players, not advanced every frame
+    }
+
+    /**
+     * Adds experience to a unit and announces any promotion it earned
+     * @param {Object} unitEntity - Unit entity
+     * @param {number} amount - Experience to add
+     * @returns {number} Levels gained
+     */
+    awardExperience(unitEntity, amount) {
+      const unit = unitEntity.unit;
+      const levels = unit.gainExperience(amount);
+
+      if (levels > 0) {
+        this.game.events.emit('promotion_available', {
+          playerId: unit.owner,
+          unitId: unitEntity.id,
+          unitType: unit.type,
+          level: unit.level,
+          pendingPromotions: unit.pendingPromotions,
+          choices: this.getAvailablePromotions(unit)
+        });
+      }
+      return levels;
+    }
+
+    /**
+     * Gets the promotions a unit qualifies for next
+     * @param {Object} unit - Unit component
+     * @returns {Array} Promotion keys
+     */
+    getAvailablePromotions(unit) {
+      return this.game.Rules.getPromotionTypes().filter(promotion => this.isEligible(unit, promotion));
+    }
+
+    /**
+     * Checks whether a unit may take a promotion now
+     * @returns {Object} { success: true } or { success: false, error }
+     */
+    canPromote(unit, promotion) {
+      const definition = this.game.Rules.getPromotionDefinition(promotion);
+      if (!definition) {
+        return { success: false, error: `Unknown promotion ${promotion}` };
+      }
+      if (unit.pendingPromotions <= 0) {
+        return { success: false, error: `${unit.type} has no promotion to choose` };
+      }
+      if (unit.hasPromotion(promotion)) {
+        return { success: false, error: `${unit.type} already has ${definition.name}` };
+      }
+      if (!this.isEligible(unit, promotion)) {
+        return { success: false, error: `${unit.type} cannot take ${definition.name}` };
+      }
+      return { success: true };
+    }
+
+    /**
+     * Checks a promotion's unit classes and required promotions against a unit
+     */
+    isEligible(unit, promotion) {
+      const definition = this.game.Rules.getPromotionDefinition(promotion);
+      if (!definition || unit.hasPromotion(promotion)) {
+        return false;
+      }
+      return (definition.unit_classes || []).includes(this.getUnitClass(unit)) &&
+        (definition.required_promotions || []).every(required => unit.hasPromotion(required));
+    }
+
+    /**
+     * Promotes a unit that has an earned level to spend
+     * @param {number} unitId - ID of the unit entity
+     * @param {string} promotion - Promotion key
+     * @returns {Object} Result of the request
+     */
+    promote(unitId, promotion) {
+      const unitEntity = this.game.getEntityById(unitId);
+      if (!unitEntity || !unitEntity.unit) {
+        return { success: false, error: 'Invalid unit' };
+      }
+
+      // Only the player whose turn it is may act on their units
+      const currentPlayer = this.game.gameState.players[this.game.gameState.currentTurn];
+      if (!currentPlayer || unitEntity.unit.owner !== currentPlayer.id) {
+        return { success: false, error: 'Units can only be given orders by their owner on their turn' };
+      }
+
+      const check = this.canPromote(unitEntity.unit, promotion);
+      if (!check.success) {
+        return check;
+      }
+
+      unitEntity.unit.addPromotion(promotion);
+      this.game.events.emit('unit_promoted', {
+        playerId: unitEntity.unit.owner,
+        unitId,
+        promotion
+      });
+
+      return { success: true, promotion, promotions: [...unitEntity.unit.promotions] };
+    }
+
+    /**
+     * Gets the combat strength bonus of a unit's promotions
+     * @param {Object} unit - Unit component
+     * @param {string} role - 'attack' or 'defense'
+     * @param {Object} context - { opponent: unit component, terrain: terrain of the battle tile }
+     * @returns {number} Fractional strength bonus (0.2 = +20%)
+     */
+    getCombatBonus(unit, role, context = {}) {
+      return this.getCombatModifiers(unit, role, context)
+        .reduce((sum, modifier) => sum + modifier.value, 0);
+    }
+
+    /**
+     * Gets the combat strength bonus of each of a unit's promotions that applies
+     * @param {Object} unit - Unit component
+     * @param {string} role - 'attack' or 'defense'
+     * @param {Object} context - { opponent: unit component, terrain: terrain of the battle tile }
+     * @returns {Array} Array of { promotion, value }, leaving out promotions that do not apply
+     */
+    getCombatModifiers(unit, role, context = {}) {
+      const opponentClass = context.opponent ? this.getUnitClass(context.opponent) : null;
+      const modifiers = [];
+
+      for (const promotion of unit.promotions || []) {
+        const definition = this.game.Rules.getPromotionDefinition(promotion);
+        let value = 0;
+
+        for (const effect of (definition && definition.effects) || []) {
+          if (effect.role !== role && effect.role !== 'both') continue;
+
+          switch (effect.type) {
+            case 'combat_bonus':
+              value += effect.value;
+              break;
+            case 'terrain_bonus':
+              if (effect.terrains.includes(context.terrain)) value += effect.value;
+              break;
+            case 'class_bonus':
+              if (effect.unit_classes.includes(opponentClass)) value += effect.value;
+              break;
+          }
+        }
+
+        if (value !== 0) {
+          modifiers.push({ promotion, value });
+        }
+      }
+      return modifiers;
+    }
+
+    /**
+     * Gets the extra movement points of a unit's promotions
+     */
+    getMovementBonus(unit) {
+      return this.getEffects(unit)
+        .filter(effect => effect.type === 'extra_movement')
+        .reduce((sum, effect) => sum + effect.value, 0);
+    }
+
+    getEffects(unit) {
+      const effects = [];
+      for (const promotion of unit.promotions || []) {
+        const definition = this.game.Rules.getPromotionDefinition(promotion);
+        effects.push(...((definition && definition.effects) || []));
+      }
+      return effects;
+    }
+
+    getUnitClass(unit) {
+      const definition = this.game.Rules.getUnitDefinition(unit.type);
+      return definition ? definition.unit_class : null;
+    }
+  }
+
+  return new PromotionSystem(gameEngine);
+};
@@ -24,9 +24,16 @@ module.exports = function(gameEngine) {
       
       // Tile size for rendering
       this.tileSize = 64;
+      
+      // Camera offset in pixels; the map and units are drawn relative to it
+      this.camera = { x: 0, y: 0 };
     }
 
     update(delta) {
+      // Scroll the world layers with the camera (the UI stays fixed)
+      this.mapContainer.x = this.unitContainer.x = -this.camera.x;
+      this.mapContainer.y = this.unitContainer.y = -this.camera.y;
+      
       // Update rendering based on game state
       this.renderMap();
       this.renderUnits();
@@ -37,31 +44,161 @@ module.exports = function(gameEngine) {
       // Clear existing tiles
       this.mapContainer.removeChildren();
 
-      // Get map data from game state (this would come from a MapComponent or similar)
-      const mapWidth = 20; // This should come from actual map data
-      const mapHeight = 15;
+      // Get map dimensions from game state
+      const map = this.game.gameState.map;
+      if (!map) return;
       
-      for (let x = 0; x < mapWidth; x++) {
-        for (let y = 0; y < mapHeight; y++) {
-          // Create a tile graphic based on the tile type
-          const tileType = this.getTileTypeAt(x, y); // This method would access actual tile data
-          
-          const tileSprite = this.createTileSprite(tileType, x, y);
-          tileSprite.x = x * this.tileSize;
-          tileSprite.y = y * this.tileSize;
-          
-          this.mapContainer.addChild(tileSprite);
+      const mapWidth = map.length;
+      const mapHeight = map[0].length;
+      const viewerId = this.getViewerId();
+      const visibility = this.game.systems.VisibilitySystem;
+      
+      for (const offsetX of this.getWrapOffsets()) {
+        for (let x = 0; x < mapWidth; x++) {
+          for (let y = 0; y < mapHeight; y++) {
+            // Create a tile graphic based on the tile type and what the viewer knows of it
+            const state = visibility.getVisibility(viewerId, x, y);
+            const tileType = state === 'unexplored' ? null : this.getTileTypeAt(x, y);
+            
+            const tileSprite = this.createTileSprite(tileType, x, y);
+            if (state !== 'unexplored') {
+              this.addRiverOverlay(tileSprite, x, y);
+              this.addBorderOverlay(tileSprite, x, y);
+            }
+            if (state === 'fogged') {
+              this.addFogOverlay(tileSprite);
+            }
+            const origin = this.game.grid.tileToPixel(x, y, this.tileSize);
+            tileSprite.x = origin.x + offsetX;
+            tileSprite.y = origin.y;
+            
+            this.mapContainer.addChild(tileSprite);
+          }
+        }
+      }
+    }
+
+    /**
+     * Horizontal offsets at which copies of the map are drawn
+     * A wrapped map is repeated so the view never shows the seam
+     * @returns {Array} Offsets in pixels
+     */
+    getWrapOffsets() {
+      if (!this.game.grid.wrapX) {
+        return [0];
+      }
+      
+      const mapPixelWidth = this.game.grid.getMapPixelSize(this.tileSize).width;
+      const first = Math.floor((this.camera.x - this.tileSize) / mapPixelWidth);
+      const last = Math.floor((this.camera.x + this.app.screen.width) / mapPixelWidth);
+      
+      const offsets = [];
+      for (let copy = first; copy <= last; copy++) {
+        offsets.push(copy * mapPixelWidth);
+      }
+      return offsets;
+    }
+
+    /**
+     * Moves the camera
+     * On a wrapped map the camera scrolls endlessly east and west; otherwise
+     * it stops at the map edges
+     * @param {number} dx - Horizontal scroll in pixels
+     * @param {number} dy - Vertical scroll in pixels
+     */
+    scrollCamera(dx, dy) {
+      const mapSize = this.game.grid.getMapPixelSize(this.tileSize);
+      const maxY = Math.max(0, mapSize.height - this.app.screen.height);
+      this.camera.y = Math.min(maxY, Math.max(0, this.camera.y + dy));
+      
+      if (this.game.grid.wrapX && mapSize.width > 0) {
+        this.camera.x = ((this.camera.x + dx) % mapSize.width + mapSize.width) % mapSize.width;
+      } else {
+        const maxX = Math.max(0, mapSize.width - this.app.screen.width);
+        this.camera.x = Math.min(maxX, Math.max(0, this.camera.x + dx));
+      }
+    }
+
+    /**
+     * ID of the player whose view of the world is drawn (the player whose turn it is)
+     */
+    getViewerId() {
+      const player = this.game.gameState.players[this.game.gameState.currentTurn];
+      return player ? player.id : null;
+    }
+
+    /**
+     * Darkens a tile the viewer has explored but cannot currently see
+     */
+    addFogOverlay(tileSprite) {
+      const fog = new PIXI.Graphics();
+      fog.beginFill(0x000000, 0.5);
+      fog.drawPolygon(this.game.grid.getTileOutline(this.tileSize));
+      fog.endFill();
+      tileSprite.addChild(fog);
+    }
+
+    /**
+     * Draws a river from the tile's center toward the neighboring river or
+     * water tiles it flows into
+     */
+    addRiverOverlay(tileSprite, x, y) {
+      const map = this.game.gameState.map;
+      if (!map[x][y].river) return;
+      
+      const outline = this.game.grid.getTileOutline(this.tileSize);
+      let centerX = 0;
+      let centerY = 0;
+      for (let i = 0; i < outline.length; i += 2) {
+        centerX += outline[i] * 2 / outline.length;
+        centerY += outline[i + 1] * 2 / outline.length;
+      }
+      
+      const waterTypes = ['coast', 'ocean', 'lake'];
+      const river = new PIXI.Graphics();
+      river.lineStyle(4, 0x1E88E5, 0.9);
+      for (const edge of this.game.grid.getTileEdges(x, y, this.tileSize)) {
+        if (!this.game.grid.isInBounds(edge.x, edge.y)) continue;
+        
+        const neighbor = map[edge.x][edge.y];
+        if (neighbor.river || waterTypes.includes(neighbor.type)) {
+          river.moveTo(centerX, centerY);
+          river.lineTo((edge.points[0] + edge.points[2]) / 2, (edge.points[1] + edge.points[3]) / 2);
+        }
+      }
+      tileSprite.addChild(river);
+    }
+
+    /**
+     * Tints a tile in its owner's color and draws the owner's border along
+     * the edges it shares with tiles outside that player's territory
+     */
+    addBorderOverlay(tileSprite, x, y) {
+      const map = this.game.gameState.map;
+      const owner = map[x][y].owner;
+      if (owner === null || owner === undefined) return;
+      
+      const color = this.getPlayerColor(owner);
+      const border = new PIXI.Graphics();
+      border.beginFill(color, 0.15);
+      border.drawPolygon(this.game.grid.getTileOutline(this.tileSize));
+      border.endFill();
+      
+      border.lineStyle(3, color, 0.9);
+      for (const edge of this.game.grid.getTileEdges(x, y, this.tileSize)) {
+        const inBounds = this.game.grid.isInBounds(edge.x, edge.y);
+        if (!inBounds || map[edge.x][edge.y].owner !== owner) {
+          border.moveTo(edge.points[0], edge.points[1]);
+          border.lineTo(edge.points[2], edge.points[3]);
         }
       }
+      tileSprite.addChild(border);
     }
 
     getTileTypeAt(x, y) {
-      // This would normally look up the actual tile data
-      // For now, we'll simulate some basic terrain distribution
-      if (x === 0 || y === 0 || x === 19 || y === 14) return 'water';
-      if (x === 5 && y === 5) return 'mountain';
-      if (x % 7 === 0 && y % 7 === 0) return 'forest';
-      return 'grass';
+      const map = this.game.gameState.map;
+      const tile = map && map[x] ? map[x][y] : null;
+      return tile ? tile.type : null;
     }
 
     createTileSprite(tileType, x, y) {
@@ -70,22 +207,30 @@ module.exports = function(gameEngine) {
       // Color mapping for different tile types
       const colors = {
         'grass': 0x4CAF50,
+        'plains': 0xC5E1A5,
+        'hills': 0x8D6E63,
         'water': 0x2196F3,
+        'coast': 0x4FC3F7,
+        'ocean': 0x1565C0,
+        'lake': 0x29B6F6,
         'mountain': 0x9E9E9E,
         'forest': 0x388E3C,
+        'jungle': 0x1B5E20,
         'desert': 0xFFEB3B,
-        'tundra': 0xE0E0E0
+        'tundra': 0xE0E0E0,
+        'snow': 0xFAFAFA
       };
       
-      const color = colors[tileType] || 0xFFFFFF;
+      // Unexplored tiles (no type) are drawn black
+      const color = tileType ? colors[tileType] || 0xFFFFFF : 0x000000;
       
       graphics.beginFill(color);
       graphics.lineStyle(1, 0x000000, 0.5);
-      graphics.drawRect(0, 0, this.tileSize, this.tileSize);
+      graphics.drawPolygon(this.game.grid.getTileOutline(this.tileSize));
       graphics.endFill();
       
       // Add texture or pattern based on tile type
-      if (tileType === 'water') {
+      if (['water', 'coast', 'ocean', 'lake'].includes(tileType)) {
         // Add waves pattern
         graphics.lineStyle(1, 0x0D47A1, 0.7);
         for (let i = 0; i < 3; i++) {
@@ -95,12 +240,13 @@ module.exports = function(gameEngine) {
             graphics.lineTo(x, waveY + Math.sin((x + Date.now() / 500) / 10) * 3);
           }
         }
-      } else if (tileType === 'forest') {
+      } else if (tileType === 'forest' || tileType === 'jungle') {
         // Add tree symbols
         graphics.beginFill(0x1B5E20);
         for (let i = 0; i < 5; i++) {
-          const treeX = 10 + Math.random() * 44;
-          const treeY = 10 + Math.random() * 44;
+          // Decoration only, so it must not advance the gameplay stream
+          const treeX = this.game.random.cosmetic.nextFloat(10, 54);
+          const treeY = this.game.random.cosmetic.nextFloat(10, 54);
           graphics.drawCircle(treeX, treeY, 4);
         }
         graphics.endFill();
@@ -113,18 +259,45 @@ module.exports = function(gameEngine) {
       // Clear existing unit sprites
       this.unitContainer.removeChildren();
 
-      // Render each unit in the game
+      // Render each unit the viewer can see, once per visible copy of a wrapped map
+      const offsets = this.getWrapOffsets();
+      const viewerId = this.getViewerId();
       for (const entity of this.game.entities) {
-        if (entity.unit && entity.position) {
-          const unitSprite = this.createUnitSprite(entity.unit, entity.position);
-          unitSprite.x = entity.position.x * this.tileSize;
-          unitSprite.y = entity.position.y * this.tileSize;
+        if (entity.unit && entity.position && this.game.systems.VisibilitySystem.canSeeEntity(viewerId, entity)) {
+          const origin = this.getUnitOrigin(entity.position.x, entity.position.y);
           
-          this.unitContainer.addChild(unitSprite);
+          for (const offsetX of offsets) {
+            const unitSprite = this.createUnitSprite(entity.unit, entity.position);
+            unitSprite.x = origin.x + offsetX;
+            unitSprite.y = origin.y;
+            
+            this.unitContainer.addChild(unitSprite);
+          }
         }
       }
     }
 
+    /**
+     * Screen position of a unit sprite, centered on its tile
+     * Unit sprites are drawn in a tileSize x tileSize box
+     */
+    getUnitOrigin(x, y) {
+      const origin = this.game.grid.tileToPixel(x, y, this.tileSize);
+      const bounds = this.game.grid.getTileBounds(this.tileSize);
+      return {
+        x: origin.x + (bounds.width - this.tileSize) / 2,
+        y: origin.y + (bounds.height - this.tileSize) / 2
+      };
+    }
+
+    /**
+     * Tile under a position on the game canvas, taking the camera into account
+     * @returns {Object} {x, y} tile coordinates
+     */
+    screenToTile(screenX, screenY) {
+      return this.game.grid.pixelToTile(screenX + this.camera.x, screenY + this.camera.y, this.tileSize);
+    }
+
     createUnitSprite(unit, position) {
       const container = new PIXI.Container();
       
@@ -193,16 +366,62 @@ module.exports = function(gameEngine) {
       // Draw UI elements like resource bars, turn indicators, etc.
       this.renderResourceBars();
       this.renderTurnIndicator();
+      this.renderCombatPreview();
+    }
+
+    /**
+     * Shows the odds of the attack the mouse is hovering over
+     */
+    renderCombatPreview() {
+      const preview = this.game.systems.InputSystem.combatPreview;
+      if (!preview || !preview.success) return;
+      
+      const percent = value => `${Math.round(value * 100)}%`;
+      const describe = modifier => {
+        const label = modifier.source ? `${modifier.type} (${modifier.source})` : modifier.type;
+        const amount = modifier.percent !== undefined
+          ? `${modifier.percent > 0 ? '+' : ''}${percent(modifier.percent)}`
+          : `${modifier.flat > 0 ? '+' : ''}${modifier.flat}`;
+        return `  ${label} ${amount}`;
+      };
+      
+      const dealt = preview.defender.damage;
+      const taken = preview.attacker.damage;
+      const lines = [
+        `Win chance: ${percent(preview.winChance)}`,
+        `Attack ${preview.attack.total.toFixed(1)} (base ${preview.attack.base})`,
+        ...preview.attack.modifiers.map(describe),
+        `Defense ${preview.defense.total.toFixed(1)} (base ${preview.defense.base})`,
+        ...preview.defense.modifiers.map(describe),
+        `Deals ${Math.floor(dealt.min)}-${Math.floor(dealt.max)} of ${preview.defender.health}`,
+        `Takes ${Math.floor(taken.min)}-${Math.floor(taken.max)} of ${preview.attacker.health}`
+      ];
+      
+      const text = new PIXI.Text(lines.join('\n'), {
+        fontFamily: 'Arial',
+        fontSize: 12,
+        fill: 0xFFFFFF,
+        align: 'left'
+      });
+      const mouse = this.game.systems.InputSystem.mouseState;
+      text.x = mouse.x + 16;
+      text.y = mouse.y + 16;
+      this.uiContainer.addChild(text);
     }
 
     renderResourceBars() {
       // Display player resources
-      const player = this.getCurrentPlayer(); // This would get the current player
+      const player = this.getCurrentPlayer();
       
       if (player) {
+        // Net income of the last turn, itemized per city in player.lastIncome
+        const income = player.lastIncome ? player.lastIncome.total : {};
+        
         let yPos = 10;
         for (const [resource, amount] of Object.entries(player.resources)) {
-          const text = new PIXI.Text(`${resource}: ${amount}`, {
+          const change = income[resource] || 0;
+          const label = change ? `${resource}: ${amount} (${change > 0 ? '+' : ''}${change})` : `${resource}: ${amount}`;
+          const text = new PIXI.Text(label, {
             fontFamily: 'Arial',
             fontSize: 14,
             fill: 0xFFFFFF,
@@ -214,9 +433,45 @@ module.exports = function(gameEngine) {
           
           yPos += 20;
         }
+        
+        if (player.lastIncome) {
+          const text = new PIXI.Text(this.describeIncome(player.lastIncome).join('\n'), {
+            fontFamily: 'Arial',
+            fontSize: 12,
+            fill: 0xCCCCCC,
+            align: 'left'
+          });
+          text.x = 10;
+          text.y = yPos + 5;
+          this.uiContainer.addChild(text);
+        }
       }
     }
 
+    /**
+     * Itemizes a turn's income for display: one line per city, then upkeep
+     * @param {Object} income - Result of Player.calculateTurnIncome
+     * @returns {Array} Lines of text
+     */
+    describeIncome(income) {
+      const lines = ['Last turn:'];
+      for (const city of income.cities) {
+        const yields = Object.entries(city.total)
+          .filter(([, amount]) => amount !== 0)
+          .map(([resource, amount]) => `${amount} ${resource}`);
+        lines.push(`  ${city.name}: ${yields.join(', ') || 'nothing'}`);
+      }
+      
+      for (const [resource, sources] of Object.entries(income.upkeep)) {
+        const items = Object.entries(sources).filter(([, amount]) => amount > 0);
+        if (items.length > 0) {
+          const total = items.reduce((sum, [, amount]) => sum + amount, 0);
+          lines.push(`  Upkeep: -${total} ${resource} (${items.map(([source, amount]) => `${source} ${amount}`).join(', ')})`);
+        }
+      }
+      return lines;
+    }
+
     renderTurnIndicator() {
       // Show whose turn it is
       const currentPlayer = this.getCurrentPlayer();
@@ -234,19 +489,8 @@ module.exports = function(gameEngine) {
     }
 
     getCurrentPlayer() {
-      // This would return the current player
-      // For now, returning a mock player
-      return {
-        id: 0,
-        name: 'Player 1',
-        resources: {
-          gold: 150,
-          food: 120,
-          production: 80,
-          science: 45,
-          culture: 30
-        }
-      };
+      const gameState = this.game.gameState;
+      return gameState.players[gameState.currentTurn] || null;
     }
   }
 
@@ -0,0 +1,294 @@
+/**
+ * Research System
+ * Handles technology research and applies technology effects from data/technologies.json
+ */
+module.exports = function(gameEngine) {
+  const ERAS = ['ancient', 'classical', 'medieval'];
+
+  class ResearchSystem {
+    constructor(game) {
+      this.game = game;
+
+      // Handlers for each technology effect type
+      this.effectHandlers = {
+        // Units, buildings and improvements are gated by their own required_tech,
+        // which the RulesValidator checks these effects agree with
+        unlock_unit: () => {},
+        unlock_building: () => {},
+        unlock_improvement: () => {},
+        modify_unit: (player, effect) => this.applyModifyUnit(player, effect),
+        increase_movement: (player, effect) => this.applyIncreaseMovement(player, effect),
+        improve_terrain: (player, effect) => this.applyImproveTerrain(player, effect),
+        increase_resource: (player, effect) => {
+          player.modifiers.resources[effect.resource] += effect.value;
+        },
+        increase_city_range: (player, effect) => this.applyIncreaseCityRange(player, effect),
+        increase_city_health: (player, effect) => this.applyIncreaseCityHealth(player, effect),
+        increase_city_growth: (player, effect) => this.addModifier(player, 'cityGrowth', effect.value),
+        reduce_unit_maintenance: (player, effect) => this.addModifier(player, 'unitMaintenance', effect.value),
+        increase_unit_experience: (player, effect) => this.addModifier(player, 'unitExperience', effect.value),
+        improve_road_connection: (player, effect) => this.addModifier(player, 'roadConnection', effect.value),
+        improve_worker_speed: (player, effect) => this.addModifier(player, 'workerSpeed', effect.value),
+        improve_trade_routes: (player, effect) => this.addModifier(player, 'tradeRoutes', effect.value),
+        increase_diplomacy: (player, effect) => this.addModifier(player, 'diplomacy', effect.value)
+      };
+    }
+
+    update(delta) {
+      // Research is advanced once per turn in processTurn
+    }
+
+    /**
+     * Checks whether a player may start researching a technology
+     * @param {Object} player - The player
+     * @param {string} techName - Technology key
+     * @returns {Object} { success: true } or { success: false, error }
+     */
+    canResearch(player, techName) {
+      const tech = this.game.Rules.getTechnologyDefinition(techName);
+      if (!tech) {
+        return { success: false, error: `Unknown technology ${techName}` };
+      }
+
+      if (player.hasTechnology(techName)) {
+        return { success: false, error: `${tech.name} is already researched` };
+      }
+
+      const missing = tech.prerequisites.filter(prerequisite => !player.hasTechnology(prerequisite));
+      if (missing.length > 0) {
+        return { success: false, error: `${tech.name} requires ${missing.join(', ')}` };
+      }
+
+      // Players can only research one era ahead of the era they have reached
+      if (this.getEraIndex(tech.era) > this.getEraIndex(player.era) + 1) {
+        return { success: false, error: `${tech.name} belongs to the ${tech.era} era` };
+      }
+
+      return { success: true };
+    }
+
+    /**
+     * Gets all technologies a player can currently research
+     * @param {Object} player - The player
+     * @returns {Array} Array of technology keys
+     */
+    getAvailableTechnologies(player) {
+      return Object.keys(this.game.Rules.technologies)
+        .filter(techName => this.canResearch(player, techName).success);
+    }
+
+    /**
+     * Sets a player's current research target
+     * @param {number} playerId - ID of the player
+     * @param {string} techName - Technology key
+     * @returns {Object} Result of the request
+     */
+    setResearch(playerId, techName) {
+      const player = this.game.gameState.players[playerId];
+      if (!player) {
+        return { success: false, error: 'Invalid player' };
+      }
+
+      const check = this.canResearch(player, techName);
+      if (!check.success) {
+        return check;
+      }
+
+      player.currentResearch = techName;
+      if (!player.techProgress[techName]) {
+        player.techProgress[techName] = 0;
+      }
+
+      return { success: true, technology: techName };
+    }
+
+    /**
+     * Pours a player's accumulated science into their current research
+     * Called once per turn after the player's income is collected
+     * @param {Object} player - The player
+     * @returns {string|null} Key of the technology completed this turn, if any
+     */
+    processTurn(player) {
+      const techName = player.currentResearch;
+      if (!techName || player.resources.science <= 0) {
+        return null;
+      }
+
+      const tech = this.game.Rules.getTechnologyDefinition(techName);
+      if (!tech) {
+        player.currentResearch = null;
+        return null;
+      }
+
+      player.techProgress[techName] = (player.techProgress[techName] || 0) + player.resources.science;
+      player.resources.science = 0;
+
+      if (player.techProgress[techName] < tech.cost) {
+        return null;
+      }
+
+      // Overflow science carries over to the next research target
+      player.resources.science = player.techProgress[techName] - tech.cost;
+      player.currentResearch = null;
+      this.grantTechnology(player, techName);
+
+      return techName;
+    }
+
+    /**
+     * Gives a technology to a player and applies its effects
+     * @param {Object} player - The player
+     * @param {string} techName - Technology key
+     * @returns {boolean} Whether the technology was newly granted
+     */
+    grantTechnology(player, techName) {
+      const tech = this.game.Rules.getTechnologyDefinition(techName);
+      if (!tech || !player.researchTechnology(techName)) {
+        return false;
+      }
+
+      delete player.techProgress[techName];
+      if (player.currentResearch === techName) {
+        player.currentResearch = null;
+      }
+
+      if (this.getEraIndex(tech.era) > this.getEraIndex(player.era)) {
+        player.era = tech.era;
+      }
+
+      for (const effect of tech.effects) {
+        this.applyEffect(player, effect);
+      }
+
+      console.log(`Player ${player.id} researched ${tech.name}`);
+      this.game.events.emit('technology_researched', {
+        playerId: player.id,
+        technology: techName,
+        name: tech.name,
+        era: player.era
+      });
+
+      return true;
+    }
+
+    /**
+     * Applies a single technology effect to a player
+     */
+    applyEffect(player, effect) {
+      const handler = this.effectHandlers[effect.type];
+      if (!handler) {
+        console.warn(`No handler for technology effect ${effect.type}`);
+        return false;
+      }
+
+      handler(player, effect);
+      return true;
+    }
+
+    addModifier(player, key, value) {
+      player.modifiers[key] += value;
+    }
+
+    applyModifyUnit(player, effect) {
+      const unitModifiers = player.modifiers.unitStats[effect.unit] || (player.modifiers.unitStats[effect.unit] = {});
+      unitModifiers[effect.stat] = (unitModifiers[effect.stat] || 1) * effect.value;
+
+      for (const entity of this.getPlayerUnits(player)) {
+        if (entity.unit.type === effect.unit) {
+          this.multiplyUnitStat(entity.unit, effect.stat, effect.value);
+        }
+      }
+    }
+
+    applyIncreaseMovement(player, effect) {
+      player.modifiers.movement[effect.unit] = (player.modifiers.movement[effect.unit] || 0) + effect.value;
+
+      for (const entity of this.getPlayerUnits(player)) {
+        if (this.game.Rules.isUnitInGroup(entity.unit.type, effect.unit)) {
+          entity.unit.maxMovement += effect.value;
+          entity.unit.movement += effect.value;
+        }
+      }
+    }
+
+    applyImproveTerrain(player, effect) {
+      const terrainYields = player.modifiers.terrainYields[effect.terrain] || (player.modifiers.terrainYields[effect.terrain] = {});
+      for (const [resource, amount] of Object.entries(effect.yield)) {
+        terrainYields[resource] = (terrainYields[resource] || 0) + amount;
+      }
+    }
+
+    applyIncreaseCityRange(player, effect) {
+      player.modifiers.cityRange += effect.value;
+
+      for (const entity of this.getPlayerCities(player)) {
+        entity.city.tileRadius += effect.value;
+      }
+    }
+
+    applyIncreaseCityHealth(player, effect) {
+      player.modifiers.cityHealth += effect.value;
+
+      for (const entity of this.getPlayerCities(player)) {
+        const bonus = Math.round(entity.city.maxHealth * effect.value);
+        entity.city.maxHealth += bonus;
+        entity.city.health += bonus;
+      }
+    }
+
+    /**
+     * Applies a player's accumulated unit modifiers to a newly created unit
+     * @param {Object} player - The owning player
+     * @param {Object} unit - Unit component
+     */
+    applyUnitModifiers(player, unit) {
+      const statModifiers = player.modifiers.unitStats[unit.type] || {};
+      for (const [stat, multiplier] of Object.entries(statModifiers)) {
+        this.multiplyUnitStat(unit, stat, multiplier);
+      }
+
+      for (const [group, bonus] of Object.entries(player.modifiers.movement)) {
+        if (this.game.Rules.isUnitInGroup(unit.type, group)) {
+          unit.maxMovement += bonus;
+          unit.movement += bonus;
+        }
+      }
+    }
+
+    /**
+     * Applies a player's accumulated city modifiers to a newly founded city
+     * @param {Object} player - The owning player
+     * @param {Object} city - City component
+     */
+    applyCityModifiers(player, city) {
+      city.tileRadius += player.modifiers.cityRange;
+
+      const healthBonus = Math.round(city.maxHealth * player.modifiers.cityHealth);
+      city.maxHealth += healthBonus;
+      city.health += healthBonus;
+    }
+
+    multiplyUnitStat(unit, stat, multiplier) {
+      if (stat === 'movement') {
+        unit.maxMovement = Math.round(unit.maxMovement * multiplier);
+        unit.movement = Math.min(unit.movement, unit.maxMovement);
+      } else {
+        unit[stat] = Math.round(unit[stat] * multiplier);
+      }
+    }
+
+    getPlayerUnits(player) {
+      return this.game.entities.filter(entity => entity.unit && entity.unit.owner === player.id);
+    }
+
+    getPlayerCities(player) {
+      return this.game.entities.filter(entity => entity.city && entity.city.owner === player.id);
+    }
+
+    getEraIndex(era) {
+      return ERAS.indexOf(era);
+    }
+  }
+
+  return new ResearchSystem(gameEngine);
+};
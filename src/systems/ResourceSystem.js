@@ -3,6 +3,12 @@
  * Handles resource generation, collection, and management
  */
 module.exports = function(gameEngine) {
+  // Units each city supports without paying their upkeep
+  const FREE_UNITS_PER_CITY = 2;
+
+  // Gold received per point of production when a bankrupt player sells a building
+  const BUILDING_SALE_GOLD_PER_PRODUCTION = 0.5;
+
   class ResourceSystem {
     constructor(game) {
       this.game = game;
@@ -142,190 +148,245 @@ module.exports = function(gameEngine) {
     }
 
     /**
-     * Generates resources for a city based on its tiles
+     * Gets a city's contribution to its owner's income
+     * @param {Object} cityEntity - City entity
+     * @returns {Object|null} { cityId, name, yields, civilization, modifiers } for
+     *   Player.calculateTurnIncome, or null if the city has no owner
      */
     generateCityResources(cityEntity) {
-      if (!cityEntity.city) return;
+      if (!cityEntity.city) return null;
       
       const player = this.getPlayerById(cityEntity.city.owner);
-      if (!player) return;
+      if (!player) return null;
       
-      // Calculate resources from worked tiles
-      const resourcesGenerated = {
-        food: 0,
-        production: 0,
-        gold: 0,
-        science: 0,
-        culture: 0
+      return {
+        cityId: cityEntity.id,
+        name: cityEntity.city.name,
+        // Worked tiles, buildings, wonders and specialists as of the city's last turn
+        yields: cityEntity.city.getTotalYield(),
+        // Flat civilization bonuses (city clusters, specialists)
+        civilization: this.game.systems.CivilizationSystem.getCityYieldBonus(player.id, cityEntity),
+        // Technology, policy and civilization percentage bonuses
+        modifiers: this.getPlayerResourceModifiers(player.id, this.getCityContext(cityEntity))
       };
+    }
+
+    /**
+     * Gets the upkeep a player pays each turn
+     * Each city supports a few units for free, covering the most expensive
+     * units first; the rest are reduced by the player's unit maintenance modifier
+     * @param {Object} player - The player
+     * @returns {Object} Upkeep keyed by resource, then by source
+     */
+    getUpkeep(player) {
+      const cities = this.getPlayerCities(player);
       
-      // Each city works a certain number of tiles
-      const workedTiles = this.getWorkedTiles(cityEntity);
-      
-      for (const tile of workedTiles) {
-        // Add base tile yield
-        resourcesGenerated.food += tile.getYield('food');
-        resourcesGenerated.production += tile.getYield('production');
-        resourcesGenerated.gold += tile.getYield('gold');
-        resourcesGenerated.science += tile.getYield('science');
-        resourcesGenerated.culture += tile.getYield('culture');
-        
-        // Add resource yield if present
-        if (tile.resource) {
-          const resourceValue = tile.getResourceValue();
-          resourcesGenerated[tile.resource.type] += resourceValue;
+      let buildings = 0;
+      for (const cityEntity of cities) {
+        for (const building of cityEntity.city.buildings) {
+          buildings += this.getBuildingUpkeep(building);
         }
       }
       
-      // Apply city-specific modifiers
-      if (cityEntity.city.specialists) {
-        for (const [specialist, count] of Object.entries(cityEntity.city.specialists)) {
-          switch(specialist) {
-            case 'scientist':
-              resourcesGenerated.science += count * 3;
-              resourcesGenerated.gold += count * 1;
-              break;
-            case 'merchant':
-              resourcesGenerated.gold += count * 3;
-              resourcesGenerated.production += count * 1;
-              break;
-            case 'artist':
-              resourcesGenerated.culture += count * 3;
-              resourcesGenerated.science += count * 1;
-              break;
+      const unitCosts = this.getPlayerUnits(player)
+        .map(entity => this.getUnitUpkeep(entity.unit))
+        .sort((a, b) => b - a)
+        .slice(cities.length * FREE_UNITS_PER_CITY);
+      
+      const reduction = Math.min(1, player.modifiers.unitMaintenance || 0);
+      const units = Math.floor(unitCosts.reduce((sum, cost) => sum + cost, 0) * (1 - reduction));
+      
+      return { gold: { buildings, units } };
+    }
+
+    getUnitUpkeep(unit) {
+      const upkeep = this.game.Rules.getUnitUpkeep(unit.type);
+      return (upkeep && upkeep.gold) || 0;
+    }
+
+    getBuildingUpkeep(buildingType) {
+      const definition = this.game.Rules.getBuildingDefinition(buildingType);
+      return (definition && definition.upkeep && definition.upkeep.gold) || 0;
+    }
+
+    /**
+     * Cuts a player's expenses until the turn's income no longer takes the
+     * treasury below zero. Units are disbanded first, most expensive and then
+     * newest first; once no unit costs upkeep, buildings are sold, most
+     * expensive and then newest city first, for part of their production cost
+     * @param {Object} player - The player
+     * @returns {Object} The turn's income after the cuts, see calculateTurnIncome
+     */
+    resolveBankruptcy(player) {
+      let income = this.calculateTurnIncome(player);
+      const disbanded = [];
+      const sold = [];
+      
+      while (player.resources.gold + income.total.gold < 0) {
+        const unitEntity = this.getPlayerUnits(player)
+          .filter(entity => this.getUnitUpkeep(entity.unit) > 0)
+          .sort((a, b) => this.getUnitUpkeep(b.unit) - this.getUnitUpkeep(a.unit) || b.id - a.id)[0];
+        
+        if (income.upkeep.gold.units > 0 && unitEntity) {
+          this.game.removeEntityById(unitEntity.id);
+          player.removeUnit(unitEntity.id);
+          disbanded.push({ unitId: unitEntity.id, type: unitEntity.unit.type });
+        } else {
+          const sale = this.getBuildingToSell(player);
+          if (!sale) {
+            break;
           }
+          
+          const gold = Math.floor(this.game.Rules.getBuildingCost(sale.building).production * BUILDING_SALE_GOLD_PER_PRODUCTION);
+          sale.cityEntity.city.removeBuilding(sale.building);
+          player.addResource('gold', gold);
+          sold.push({ cityId: sale.cityEntity.id, cityName: sale.cityEntity.city.name, building: sale.building, gold });
         }
+        
+        income = this.calculateTurnIncome(player);
       }
       
-      // Apply player-wide modifiers
-      const playerModifiers = this.getPlayerResourceModifiers(player.id);
-      for (const [resource, modifier] of Object.entries(playerModifiers)) {
-        resourcesGenerated[resource] *= (1 + modifier);
+      if (disbanded.length > 0 || sold.length > 0) {
+        console.log(`Player ${player.id} is bankrupt: disbanded ${disbanded.length} units, sold ${sold.length} buildings`);
+        this.game.events.emit('bankruptcy', { playerId: player.id, disbanded, sold });
       }
       
-      // Add resources to player
-      for (const [resource, amount] of Object.entries(resourcesGenerated)) {
-        if (amount > 0) {
-          player.addResource(resource, Math.floor(amount));
-        }
-      }
-      
-      // Log resource generation
-      console.log(`City ${cityEntity.id} generated resources:`, resourcesGenerated);
+      return income;
     }
 
     /**
-     * Gets the tiles worked by a city
+     * Gets the building a bankrupt player sells next
+     * @returns {Object|null} { cityEntity, building }, or null if no building costs upkeep
      */
-    getWorkedTiles(cityEntity) {
-      // In a real implementation, this would return the tiles assigned to work
-      // For now, return a simple radius around the city
-      const tiles = [];
-      const centerX = cityEntity.position.x;
-      const centerY = cityEntity.position.y;
-      
-      // Work tiles within radius 2
-      for (let x = centerX - 2; x <= centerX + 2; x++) {
-        for (let y = centerY - 2; y <= centerY + 2; y++) {
-          // Skip center tile if it's the city
-          if (x === centerX && y === centerY) continue;
-          
-          // Check if within circular range
-          const distance = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
-          if (distance <= 2) {
-            tiles.push(this.getTileAt(x, y));
+    getBuildingToSell(player) {
+      let best = null;
+      for (const cityEntity of this.getPlayerCities(player)) {
+        for (const building of cityEntity.city.buildings) {
+          const upkeep = this.getBuildingUpkeep(building);
+          if (upkeep > 0 && (!best || upkeep > best.upkeep || (upkeep === best.upkeep && cityEntity.id >= best.cityEntity.id))) {
+            best = { cityEntity, building, upkeep };
           }
         }
       }
+      return best;
+    }
+
+    getPlayerCities(player) {
+      return this.game.entities.filter(entity => entity.city && entity.city.owner === player.id);
+    }
+
+    getPlayerUnits(player) {
+      return this.game.entities.filter(entity => entity.unit && entity.unit.owner === player.id);
+    }
+
+    /**
+     * Calculates a player's income for the turn from its cities, less upkeep
+     * @param {Object} player - The player
+     * @returns {Object} Itemized income, see Player.calculateTurnIncome
+     */
+    calculateTurnIncome(player) {
+      const cities = this.getPlayerCities(player)
+        .map(entity => this.generateCityResources(entity))
+        .filter(Boolean);
       
-      return tiles;
+      return player.calculateTurnIncome(cities, this.getUpkeep(player));
     }
 
     /**
      * Gets resource at a specific position
+     * Access to it belongs to the player whose territory the tile is in
      */
     getResourceAtPosition(x, y) {
-      // This would normally access the actual resource data
-      // For now, return a mock resource
-      if (x === 5 && y === 5) {
-        return {
-          type: 'gold',
-          value: 100,
-          maxValue: 100,
-          growthRate: 0.1,
-          isAccessibleTo: () => true
-        };
-      } else if (x === 8 && y === 3) {
-        return {
-          type: 'food',
-          value: 80,
-          maxValue: 80,
-          growthRate: 0.2,
-          isAccessibleTo: () => true
-        };
-      }
-      
-      return null;
+      const tile = this.getTileAt(x, y);
+      return tile ? tile.resource : null;
     }
 
     /**
      * Gets tile at a specific position
+     * @returns {Object|null} Tile component, or null off the map
      */
     getTileAt(x, y) {
-      // This would normally access the actual tile data
-      // For now, return a mock tile
-      return {
-        x: x,
-        y: y,
-        getYield: (resourceType) => {
-          // Base yields vary by tile type
-          if (x % 4 === 0 && y % 4 === 0) {
-            // Bonus tile
-            return resourceType === 'food' ? 3 : resourceType === 'production' ? 2 : 1;
-          } else if (x % 7 === 0 || y % 7 === 0) {
-            // Forest tile
-            return resourceType === 'production' ? 1 : resourceType === 'food' ? 1 : 0;
-          } else {
-            // Regular tile
-            return resourceType === 'food' ? 2 : resourceType === 'production' ? 1 : 1;
-          }
-        },
-        resource: this.getResourceAtPosition(x, y),
-        getResourceValue: () => {
-          const resource = this.getResourceAtPosition(x, y);
-          return resource ? resource.value : 0;
-        },
-        improvement: null
-      };
+      const map = this.game.gameState.map;
+      if (!map || !this.game.grid.isInBounds(x, y)) {
+        return null;
+      }
+      
+      const tile = this.game.grid.wrap(x, y);
+      return map[tile.x][tile.y];
     }
 
     /**
      * Gets a player by ID
      */
     getPlayerById(playerId) {
-      // This would normally access the actual player data
-      // For now, return a mock player
-      return {
-        id: playerId,
-        addResource: (type, amount) => {
-          console.log(`Added ${amount} ${type} to player ${playerId}`);
-        }
-      };
+      return this.game.gameState.players[playerId] || null;
     }
 
     /**
      * Gets resource modifiers for a player
+     * @param {number} playerId - ID of the player
+     * @param {Object} context - Optional { terrain, buildings } of the producing city
      */
-    getPlayerResourceModifiers(playerId) {
-      // This would normally access player's technologies, policies, etc.
-      // For now, return neutral modifiers
-      return {
+    getPlayerResourceModifiers(playerId, context = {}) {
+      const modifiers = {
         food: 0,
         production: 0,
         gold: 0,
         science: 0,
         culture: 0
       };
+      
+      // Technology bonuses
+      const player = this.game.gameState.players[playerId];
+      if (player) {
+        for (const [resource, modifier] of Object.entries(player.modifiers.resources)) {
+          modifiers[resource] += modifier;
+        }
+        
+        // Policy bonuses
+        for (const policyName of player.policies) {
+          const policy = this.game.Rules.getPolicyDefinition(policyName);
+          for (const effect of (policy && policy.effects) || []) {
+            if (effect.type === 'increase_resource') {
+              modifiers[effect.resource] += effect.value;
+            }
+          }
+        }
+      }
+      
+      // Civilization bonuses
+      const civilizationModifiers = this.game.systems.CivilizationSystem.getResourceModifiers(playerId, context);
+      for (const [resource, modifier] of Object.entries(civilizationModifiers)) {
+        modifiers[resource] += modifier;
+      }
+      
+      return modifiers;
+    }
+
+    /**
+     * Gets the context used for conditional modifiers of a city
+     * @returns {Object} { terrain, terrains, buildings } where terrain is the
+     *   city center's and terrains lists the terrain of every worked tile
+     */
+    getCityContext(cityEntity) {
+      const map = this.game.gameState.map;
+      const { x, y } = cityEntity.city.position;
+      const centerTile = map && map[x] ? map[x][y] : null;
+      
+      const terrains = [];
+      for (const tileKey of cityEntity.city.workedTiles) {
+        const [tileX, tileY] = tileKey.split(',').map(Number);
+        const tile = map && map[tileX] ? map[tileX][tileY] : null;
+        if (tile) {
+          terrains.push(tile.type);
+        }
+      }
+      
+      return {
+        terrain: centerTile ? centerTile.type : null,
+        terrains,
+        buildings: cityEntity.city.buildings
+      };
     }
 
     /**
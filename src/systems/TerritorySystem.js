@@ -0,0 +1,211 @@
+/**
+ * Territory System
+ * Decides which player owns each tile. Cities claim the tiles within their
+ * border radius, which grows with the culture they accumulate; a tile claimed
+ * by several cities goes to the one with the most culture pressure on it
+ */
+module.exports = function(gameEngine) {
+  // Culture a city must have accumulated to reach each border radius (index + 1)
+  const BORDER_THRESHOLDS = [0, 20, 60, 120, 200];
+
+  class TerritorySystem {
+    constructor(game) {
+      this.game = game;
+
+      // Set whenever cities appear, disappear or accumulate culture
+      this.dirty = true;
+    }
+
+    update(delta) {
+      this.refresh();
+    }
+
+    /**
+     * Flags borders for recalculation on the next refresh
+     */
+    markDirty() {
+      this.dirty = true;
+    }
+
+    /**
+     * Recalculates borders if anything changed
+     */
+    refresh() {
+      if (!this.dirty || !this.game.gameState.map) {
+        return;
+      }
+
+      this.updateBorders();
+      this.dirty = false;
+    }
+
+    /**
+     * Gets how far a city's borders reach
+     * @param {Object} city - City component
+     * @returns {number} Border radius in tiles
+     */
+    getBorderRadius(city) {
+      return BORDER_THRESHOLDS.filter(threshold => city.cultureStored >= threshold).length;
+    }
+
+    /**
+     * Gets the culture pressure a city exerts on a tile: its accumulated
+     * culture, weakening with distance. A city always holds its own center
+     */
+    getCulturePressure(cityEntity, x, y) {
+      const city = cityEntity.city;
+      const distance = this.game.grid.getDistance(city.position.x, city.position.y, x, y);
+      if (distance === 0) {
+        return Infinity;
+      }
+      return (city.cultureStored + 1) / (1 + distance);
+    }
+
+    /**
+     * Recalculates the owner of every tile
+     * Ties in culture pressure leave a tile with its current city
+     * @returns {Array} Changed tiles as { x, y, from, to } player IDs
+     */
+    updateBorders() {
+      const map = this.game.gameState.map;
+      const claims = new Map();
+
+      for (const cityEntity of this.getCities()) {
+        const { x, y } = cityEntity.city.position;
+
+        for (const tile of this.game.grid.getTilesInRange(x, y, this.getBorderRadius(cityEntity.city))) {
+          const key = `${tile.x},${tile.y}`;
+          const pressure = this.getCulturePressure(cityEntity, tile.x, tile.y);
+          const claim = claims.get(key);
+
+          const holdsTile = map[tile.x][tile.y].ownerCity === cityEntity.id;
+          if (!claim || pressure > claim.pressure || (pressure === claim.pressure && holdsTile)) {
+            claims.set(key, { cityEntity, pressure });
+          }
+        }
+      }
+
+      const changes = [];
+      for (let x = 0; x < map.length; x++) {
+        for (let y = 0; y < map[x].length; y++) {
+          const claim = claims.get(`${x},${y}`);
+          const cityEntity = claim ? claim.cityEntity : null;
+          const from = map[x][y].owner;
+
+          this.setTileOwner(map[x][y], cityEntity);
+          if (map[x][y].owner !== from) {
+            changes.push({ x, y, from, to: map[x][y].owner });
+          }
+        }
+      }
+
+      if (changes.length > 0) {
+        this.releaseLostTiles(changes);
+        this.game.events.emit('borders_changed', { tiles: changes });
+      }
+
+      return changes;
+    }
+
+    /**
+     * Gives a tile to a city, moving access to its resource with it
+     * @param {Object} tile - Tile component
+     * @param {Object|null} cityEntity - New owning city, or null for no owner
+     */
+    setTileOwner(tile, cityEntity) {
+      const owner = cityEntity ? cityEntity.city.owner : null;
+      tile.ownerCity = cityEntity ? cityEntity.id : null;
+
+      if (tile.owner === owner) {
+        return;
+      }
+
+      if (tile.resource) {
+        if (tile.owner !== null) {
+          tile.resource.removeAccess(tile.owner);
+        }
+        if (owner !== null) {
+          tile.resource.addAccess(owner);
+        }
+      }
+      tile.owner = owner;
+    }
+
+    /**
+     * Lets cities that were working tiles now owned by someone else reassign their citizens
+     */
+    releaseLostTiles(changes) {
+      const losers = new Set(changes.filter(change => change.from !== null).map(change => change.from));
+
+      for (const cityEntity of this.getCities()) {
+        if (losers.has(cityEntity.city.owner)) {
+          this.game.systems.GovernorSystem.refreshCity(cityEntity);
+        }
+      }
+    }
+
+    /**
+     * Gets the player owning a tile
+     * @returns {number|null} Player ID, or null if the tile is unclaimed
+     */
+    getTileOwner(x, y) {
+      this.refresh();
+
+      const tile = this.getTile(x, y);
+      return tile ? tile.owner : null;
+    }
+
+    isOwnedBy(playerId, x, y) {
+      return this.getTileOwner(x, y) === playerId;
+    }
+
+    /**
+     * Checks whether cities of more than one player reach a tile
+     * The tile still has a single owner, decided by culture pressure
+     */
+    isContested(x, y) {
+      const players = new Set();
+      for (const cityEntity of this.getCities()) {
+        const { position } = cityEntity.city;
+        if (this.game.grid.isInRange(position.x, position.y, x, y, this.getBorderRadius(cityEntity.city))) {
+          players.add(cityEntity.city.owner);
+        }
+      }
+      return players.size > 1;
+    }
+
+    /**
+     * Gets every tile a player owns
+     * @returns {Array} Array of {x, y}
+     */
+    getPlayerTerritory(playerId) {
+      this.refresh();
+
+      const map = this.game.gameState.map;
+      const tiles = [];
+      for (let x = 0; x < map.length; x++) {
+        for (let y = 0; y < map[x].length; y++) {
+          if (map[x][y].owner === playerId) {
+            tiles.push({ x, y });
+          }
+        }
+      }
+      return tiles;
+    }
+
+    getTile(x, y) {
+      const map = this.game.gameState.map;
+      if (!map || !this.game.grid.isInBounds(x, y)) {
+        return null;
+      }
+      const tile = this.game.grid.wrap(x, y);
+      return map[tile.x][tile.y];
+    }
+
+    getCities() {
+      return this.game.entities.filter(entity => entity.city);
+    }
+  }
+
+  return new TerritorySystem(gameEngine);
+};
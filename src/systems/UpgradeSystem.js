@@ -0,0 +1,145 @@
+/**
+ * Upgrade System
+ * Upgrades existing units along the upgrades_to paths of data/units.json,
+ * for gold, while they stand in their owner's territory
+ */
+module.exports = function(gameEngine) {
+  // Gold charged per point of production the target unit costs more than the unit
+  const UPGRADE_GOLD_PER_PRODUCTION = 2;
+
+  // Least gold an upgrade costs, even between units of similar cost
+  const MIN_UPGRADE_GOLD = 10;
+
+  class UpgradeSystem {
+    constructor(game) {
+      this.game = game;
+    }
+
+    update(delta) {
+      // Units are upgraded on request, not every frame
+    }
+
+    /**
+     * Gets the gold it costs to upgrade a unit type to another
+     * @param {string} unitType - Current unit type
+     * @param {string} targetType - Unit type to upgrade to
+     * @returns {number} Gold cost
+     */
+    getUpgradeCost(unitType, targetType) {
+      const current = this.game.Rules.getUnitCost(unitType) || {};
+      const target = this.game.Rules.getUnitCost(targetType) || {};
+      const difference = (target.production || 0) - (current.production || 0);
+
+      return Math.max(MIN_UPGRADE_GOLD, difference * UPGRADE_GOLD_PER_PRODUCTION);
+    }
+
+    /**
+     * Gets every upgrade of a unit with its cost and whether it can be made now
+     * @param {Object} unitEntity - Unit entity
+     * @returns {Array} Array of { unitType, cost, success, error }
+     */
+    getUpgradeOptions(unitEntity) {
+      return this.game.Rules.getUpgradePaths(unitEntity.unit.type).map(unitType => ({
+        unitType,
+        cost: this.getUpgradeCost(unitEntity.unit.type, unitType),
+        ...this.canUpgrade(unitEntity, unitType)
+      }));
+    }
+
+    /**
+     * Checks whether a unit can upgrade to a unit type now
+     * @returns {Object} { success: true } or { success: false, error }
+     */
+    canUpgrade(unitEntity, targetType) {
+      const unit = unitEntity.unit;
+      const player = this.game.gameState.players[unit.owner];
+      if (!player) {
+        return { success: false, error: 'Invalid player' };
+      }
+
+      if (!this.game.Rules.getUpgradePaths(unit.type).includes(targetType)) {
+        return { success: false, error: `${unit.type} cannot upgrade to ${targetType}` };
+      }
+
+      if (!this.game.Rules.isUnitAvailableTo(player, targetType)) {
+        return { success: false, error: `${targetType} requires ${this.game.Rules.getRequiredTech(targetType)}` };
+      }
+
+      const { x, y } = unitEntity.position;
+      if (!this.game.systems.TerritorySystem.isOwnedBy(unit.owner, x, y)) {
+        return { success: false, error: 'Units can only upgrade in friendly territory' };
+      }
+
+      if (!unit.canPerformAction()) {
+        return { success: false, error: `${unit.type} has no action left this turn` };
+      }
+
+      const cost = this.getUpgradeCost(unit.type, targetType);
+      if (!player.canAfford({ gold: cost })) {
+        return { success: false, error: `Upgrading to ${targetType} costs ${cost} gold` };
+      }
+
+      return { success: true };
+    }
+
+    /**
+     * Upgrades a unit, replacing its unit component with one of the target type
+     * The unit keeps its experience, level, promotions and share of health,
+     * and ends its turn
+     * @param {number} unitId - ID of the unit entity
+     * @param {string} targetType - Unit type to upgrade to
+     * @returns {Object} Result of the request
+     */
+    upgradeUnit(unitId, targetType) {
+      const unitEntity = this.game.getEntityById(unitId);
+      if (!unitEntity || !unitEntity.unit || !unitEntity.position) {
+        return { success: false, error: 'Invalid unit' };
+      }
+
+      // Only the player whose turn it is may act on their units
+      const currentPlayer = this.game.gameState.players[this.game.gameState.currentTurn];
+      if (!currentPlayer || unitEntity.unit.owner !== currentPlayer.id) {
+        return { success: false, error: 'Units can only be given orders by their owner on their turn' };
+      }
+
+      const check = this.canUpgrade(unitEntity, targetType);
+      if (!check.success) {
+        return check;
+      }
+
+      const old = unitEntity.unit;
+      const player = this.game.gameState.players[old.owner];
+      const cost = this.getUpgradeCost(old.type, targetType);
+      player.spendResources({ gold: cost });
+
+      const unit = new this.game.components.Unit(targetType, old.owner, unitEntity.position.x, unitEntity.position.y);
+      this.game.systems.ResearchSystem.applyUnitModifiers(player, unit);
+      this.game.systems.CivilizationSystem.applyUnitBonuses(player, unit);
+
+      unit.health = Math.max(1, Math.round(unit.maxHealth * old.health / old.maxHealth));
+      unit.level = old.level;
+      unit.experience = old.experience;
+      unit.upgradeThreshold = old.upgradeThreshold;
+      unit.promotions = [...old.promotions];
+      unit.pendingPromotions = old.pendingPromotions;
+      unit.movement = 0;
+      unit.actionsRemaining = 0;
+
+      unitEntity.unit = unit;
+      this.game.systems.VisibilitySystem.markDirty();
+
+      console.log(`Unit ${unitId} upgraded from ${old.type} to ${targetType} for ${cost} gold`);
+      this.game.events.emit('unit_upgraded', {
+        playerId: unit.owner,
+        unitId,
+        from: old.type,
+        to: targetType,
+        cost
+      });
+
+      return { success: true, unitId, unitType: targetType, cost };
+    }
+  }
+
+  return new UpgradeSystem(gameEngine);
+};
@@ -0,0 +1,319 @@
+/**
+ * Visibility System
+ * Tracks what each player can see (fog of war) from the sight of their units
+ * and cities, with hills and mountains blocking line of sight
+ */
+module.exports = function(gameEngine) {
+  // Per-tile visibility states stored in player.visibility
+  const UNEXPLORED = 0;
+  const FOGGED = 1;
+  const VISIBLE = 2;
+  const STATE_NAMES = ['unexplored', 'fogged', 'visible'];
+
+  // Terrain that rises above the land around it; higher terrain hides what lies behind it
+  const TERRAIN_ELEVATION = {
+    hills: 1,
+    mountain: 2
+  };
+
+  // Map settings a client needs to lay out the map; the seed would let it
+  // regenerate the whole map and see through the fog
+  const CLIENT_MAP_SETTINGS = ['width', 'height', 'topology', 'wrapX'];
+
+  // City fields other players may see; worked tiles, stockpiles and the
+  // production queue stay with the owner
+  const PUBLIC_CITY_FIELDS = ['owner', 'name', 'position', 'population', 'health', 'maxHealth', 'defense', 'buildings', 'wondersBuilt', 'tileRadius'];
+
+  // Tile fields a player remembers when a tile falls into the fog
+  const REMEMBERED_TILE_FIELDS = ['type', 'improvement', 'river', 'owner'];
+
+  class VisibilitySystem {
+    constructor(game) {
+      this.game = game;
+
+      // Sight range of a city
+      this.citySight = 2;
+
+      // Set whenever units or cities move, appear or disappear
+      this.dirty = true;
+    }
+
+    update(delta) {
+      this.refresh();
+    }
+
+    /**
+     * Flags visibility for recalculation on the next refresh
+     */
+    markDirty() {
+      this.dirty = true;
+    }
+
+    /**
+     * Recalculates every player's visibility if anything changed
+     */
+    refresh() {
+      if (!this.dirty || !this.game.gameState.map) {
+        return;
+      }
+
+      for (const player of this.game.gameState.players) {
+        this.updatePlayer(player);
+      }
+      this.dirty = false;
+    }
+
+    /**
+     * Recalculates what a player currently sees
+     * Tiles seen before but no longer in sight become fogged, and the player
+     * remembers them as they were when last seen
+     * @param {Object} player - The player
+     */
+    updatePlayer(player) {
+      this.ensureVisibility(player);
+
+      const visibility = player.visibility;
+      const map = this.game.gameState.map;
+      const height = this.getMapHeight();
+      for (let i = 0; i < visibility.length; i++) {
+        if (visibility[i] === VISIBLE) {
+          visibility[i] = FOGGED;
+          player.tileMemory[i] = this.pick(map[Math.floor(i / height)][i % height], REMEMBERED_TILE_FIELDS);
+        }
+      }
+
+      for (const entity of this.game.entities) {
+        if (entity.unit && entity.unit.owner === player.id && entity.position) {
+          this.revealFrom(player, entity.position.x, entity.position.y, this.getUnitSight(entity.unit));
+        } else if (entity.city && entity.city.owner === player.id) {
+          this.revealFrom(player, entity.city.position.x, entity.city.position.y, this.citySight);
+        }
+      }
+    }
+
+    /**
+     * Makes sure a player's visibility grid and tile memory match the current map
+     */
+    ensureVisibility(player) {
+      const size = this.getMapWidth() * this.getMapHeight();
+      if (!player.visibility || player.visibility.length !== size) {
+        player.visibility = new Array(size).fill(UNEXPLORED);
+        player.tileMemory = null;
+      }
+      if (!player.tileMemory || player.tileMemory.length !== size) {
+        player.tileMemory = new Array(size).fill(null);
+      }
+    }
+
+    getUnitSight(unit) {
+      return unit.sight + this.game.systems.CivilizationSystem.getSightBonus(unit.owner, unit.type);
+    }
+
+    /**
+     * Marks the tiles a viewer can see as visible
+     * Viewers on high ground see one tile further
+     * @param {Object} player - The viewing player
+     * @param {number} x - Viewer X coordinate
+     * @param {number} y - Viewer Y coordinate
+     * @param {number} sight - Sight range in tiles
+     */
+    revealFrom(player, x, y, sight) {
+      const grid = this.game.grid;
+      const viewerElevation = this.getElevation(x, y);
+      const range = sight + (viewerElevation > 0 ? 1 : 0);
+
+      for (const tile of grid.getTilesInRange(x, y, range)) {
+        if (this.hasLineOfSight(x, y, tile.x, tile.y, viewerElevation)) {
+          player.visibility[this.getIndex(tile.x, tile.y)] = VISIBLE;
+        }
+      }
+    }
+
+    /**
+     * Checks whether a viewer can see a tile
+     * Tiles between the viewer and the target block sight when they are
+     * higher than the viewer; the blocking tile itself is still visible
+     * @param {number} viewerElevation - Elevation of the viewer's tile
+     * @returns {boolean} Whether the target tile is in line of sight
+     */
+    hasLineOfSight(fromX, fromY, toX, toY, viewerElevation = this.getElevation(fromX, fromY)) {
+      const line = this.game.grid.getLine(fromX, fromY, toX, toY);
+
+      for (let i = 1; i < line.length - 1; i++) {
+        if (this.getElevation(line[i].x, line[i].y) > viewerElevation) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
+    getElevation(x, y) {
+      const map = this.game.gameState.map;
+      const tile = map[x] && map[x][y];
+      return tile ? TERRAIN_ELEVATION[tile.type] || 0 : 0;
+    }
+
+    /**
+     * Gets a player's visibility of a tile
+     * @param {number} playerId - ID of the player
+     * @param {number} x - Tile X coordinate
+     * @param {number} y - Tile Y coordinate
+     * @returns {string} 'unexplored', 'fogged' or 'visible'
+     */
+    getVisibility(playerId, x, y) {
+      return STATE_NAMES[this.getState(playerId, x, y)];
+    }
+
+    isVisible(playerId, x, y) {
+      return this.getState(playerId, x, y) === VISIBLE;
+    }
+
+    isExplored(playerId, x, y) {
+      return this.getState(playerId, x, y) !== UNEXPLORED;
+    }
+
+    getState(playerId, x, y) {
+      this.refresh();
+
+      const player = this.game.gameState.players[playerId];
+      const tile = this.game.grid.wrap(x, y);
+      if (!player || !player.visibility || !this.game.grid.isInBounds(tile.x, tile.y)) {
+        return UNEXPLORED;
+      }
+      return player.visibility[this.getIndex(tile.x, tile.y)];
+    }
+
+    /**
+     * Checks whether a player can see an entity
+     * Players always see their own units and cities
+     */
+    canSeeEntity(playerId, entity) {
+      const owner = entity.unit ? entity.unit.owner : entity.city ? entity.city.owner : null;
+      if (owner === playerId) {
+        return true;
+      }
+
+      const position = entity.position || (entity.city && entity.city.position);
+      return !!position && this.isVisible(playerId, position.x, position.y);
+    }
+
+    /**
+     * Builds the game state a player's client is allowed to see
+     * Unexplored tiles are hidden, fogged tiles show the terrain, improvement
+     * and owner the player last saw, and only units and cities in sight and
+     * wonders the player knows of are included
+     * @param {number} playerId - ID of the receiving player
+     * @returns {Object} Filtered game state
+     */
+    getClientState(playerId) {
+      this.refresh();
+
+      const gameState = this.game.gameState;
+      const map = gameState.map;
+      const player = gameState.players[playerId];
+      const filteredMap = map ? map.map((column, x) => column.map((tile, y) => {
+        const state = this.getState(playerId, x, y);
+        if (state === UNEXPLORED) {
+          return null;
+        }
+        if (state === FOGGED) {
+          // Saves from before tile memory fall back to the terrain alone
+          const remembered = (player.tileMemory && player.tileMemory[this.getIndex(x, y)]) || this.pick(tile, ['type', 'river']);
+          return { x, y, ...remembered, visibility: STATE_NAMES[state] };
+        }
+        return {
+          x,
+          y,
+          type: tile.type,
+          resource: tile.resource ? { type: tile.resource.type, value: tile.resource.value } : null,
+          improvement: tile.improvement,
+          river: tile.river,
+          owner: tile.owner,
+          visibility: STATE_NAMES[state]
+        };
+      })) : null;
+
+      const units = [];
+      const cities = [];
+      for (const entity of this.game.entities) {
+        if ((!entity.unit && !entity.city) || !this.canSeeEntity(playerId, entity)) continue;
+
+        if (entity.unit) {
+          units.push({ id: entity.id, position: { ...entity.position }, ...entity.unit });
+        } else if (entity.city.owner === playerId) {
+          // Growth outlook is only shown to the owner
+          const owner = gameState.players[playerId];
+          cities.push({
+            id: entity.id,
+            ...entity.city,
+            foodPerTurn: entity.city.getFoodPerTurn(owner),
+            turnsToGrow: entity.city.getTurnsToGrow(owner)
+          });
+        } else {
+          cities.push({ id: entity.id, ...this.pick(entity.city, PUBLIC_CITY_FIELDS) });
+        }
+      }
+
+      return {
+        playerId,
+        players: gameState.players.map(player => (player.id === playerId ? player : {
+          id: player.id,
+          name: player.name,
+          color: player.color,
+          civilization: player.civilization
+        })),
+        currentTurn: gameState.currentTurn,
+        isRunning: gameState.isRunning,
+        mapSettings: gameState.mapSettings ? this.pick(gameState.mapSettings, CLIENT_MAP_SETTINGS) : null,
+        wonders: this.getKnownWonders(playerId),
+        map: filteredMap,
+        units,
+        cities
+      };
+    }
+
+    /**
+     * Gets the wonder registry entries a player knows of: their own wonders
+     * and those in cities on tiles they have explored
+     * @param {number} playerId - ID of the player
+     * @returns {Object} Map of wonder key to { playerId, cityId, cityName }
+     */
+    getKnownWonders(playerId) {
+      const known = {};
+      for (const [wonderType, builder] of Object.entries(this.game.gameState.wonders || {})) {
+        const cityEntity = this.game.getEntityById(builder.cityId);
+        const position = cityEntity && cityEntity.city ? cityEntity.city.position : null;
+        if (builder.playerId === playerId || (position && this.isExplored(playerId, position.x, position.y))) {
+          known[wonderType] = builder;
+        }
+      }
+      return known;
+    }
+
+    /**
+     * Copies the listed fields of an object
+     */
+    pick(source, fields) {
+      const copy = {};
+      for (const field of fields) {
+        copy[field] = source[field];
+      }
+      return copy;
+    }
+
+    getIndex(x, y) {
+      return x * this.getMapHeight() + y;
+    }
+
+    getMapWidth() {
+      return this.game.gameState.map ? this.game.gameState.map.length : 0;
+    }
+
+    getMapHeight() {
+      return this.game.gameState.map ? this.game.gameState.map[0].length : 0;
+    }
+  }
+
+  return new VisibilitySystem(gameEngine);
+};
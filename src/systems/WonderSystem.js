@@ -0,0 +1,226 @@
+/**
+ * Wonder System
+ * Keeps the registry of world wonders, each of which can be built only once
+ * per game, and applies their empire-wide effects from data/wonders.json
+ */
+module.exports = function(gameEngine) {
+  // Gold refunded per point of production lost on a wonder completed elsewhere
+  const REFUND_GOLD_PER_PRODUCTION = 1;
+
+  // Empire effects applied again every turn rather than once on completion
+  const ONGOING_EFFECTS = ['grant_known_technologies'];
+
+  class WonderSystem {
+    constructor(game) {
+      this.game = game;
+
+      // Handlers for wonder-only empire effects; the other effect types are
+      // technology effects applied by the ResearchSystem
+      this.effectHandlers = {
+        grant_known_technologies: (player, effect) => this.grantKnownTechnologies(player, effect)
+      };
+    }
+
+    update(delta) {
+      // Empire effects are refreshed once per turn in processTurn
+    }
+
+    /**
+     * Gets the registry of built wonders, stored in the game state so it is saved
+     * @returns {Object} Map of wonder key to { playerId, cityId, cityName }
+     */
+    getRegistry() {
+      if (!this.game.gameState.wonders) {
+        this.game.gameState.wonders = {};
+      }
+      return this.game.gameState.wonders;
+    }
+
+    isBuilt(wonderType) {
+      return !!this.getBuilder(wonderType);
+    }
+
+    /**
+     * Gets where a wonder was built
+     * @param {string} wonderType - Wonder key
+     * @returns {Object|null} { playerId, cityId, cityName } or null if not built yet
+     */
+    getBuilder(wonderType) {
+      return this.getRegistry()[wonderType] || null;
+    }
+
+    /**
+     * Gets the wonders owned by a player
+     * @param {number} playerId - ID of the player
+     * @returns {Array} Wonder keys
+     */
+    getPlayerWonders(playerId) {
+      return Object.entries(this.getRegistry())
+        .filter(([, builder]) => builder.playerId === playerId)
+        .map(([wonderType]) => wonderType);
+    }
+
+    /**
+     * Hands the wonders of a city that changed owner to its new owner, whose
+     * empire now gets their ongoing effects
+     * @param {Object} cityEntity - City entity, already given to its new owner
+     */
+    transferCityWonders(cityEntity) {
+      for (const builder of Object.values(this.getRegistry())) {
+        if (builder.cityId === cityEntity.id) {
+          builder.playerId = cityEntity.city.owner;
+        }
+      }
+    }
+
+    /**
+     * Completes a wonder in a city
+     * Registers it as built, applies its empire effects and ends the race for
+     * every other city that was building it
+     * @param {Object} cityEntity - City entity that built the wonder
+     * @param {string} wonderType - Wonder key
+     * @returns {Object} Result of the completion
+     */
+    completeWonder(cityEntity, wonderType) {
+      const city = cityEntity.city;
+      const wonder = this.game.Rules.getWonderDefinition(wonderType);
+      if (!wonder) {
+        return { success: false, error: `Unknown wonder ${wonderType}` };
+      }
+
+      const builder = this.getBuilder(wonderType);
+      if (builder) {
+        return { success: false, error: `${wonder.name} has already been built in ${builder.cityName}` };
+      }
+
+      city.addWonder(wonderType);
+      this.getRegistry()[wonderType] = {
+        playerId: city.owner,
+        cityId: cityEntity.id,
+        cityName: city.name
+      };
+
+      const player = this.game.gameState.players[city.owner];
+      if (player) {
+        for (const effect of wonder.empire_effects || []) {
+          this.applyEmpireEffect(player, effect);
+        }
+      }
+
+      console.log(`${city.name} completed the ${wonder.name}`);
+      this.game.events.emit('wonder_completed', {
+        playerId: city.owner,
+        cityId: cityEntity.id,
+        cityName: city.name,
+        wonder: wonderType,
+        name: wonder.name
+      });
+
+      const lostRaces = this.game.entities
+        .filter(entity => entity.city && entity !== cityEntity && entity.city.productionQueue.includes(wonderType))
+        .map(entity => this.resolveLostRace(entity, wonderType, cityEntity));
+
+      return { success: true, wonder: wonderType, lostRaces };
+    }
+
+    /**
+     * Removes a wonder completed elsewhere from a city's queue
+     * Production already spent on it is converted to the next queued item,
+     * or refunded as gold if nothing else is queued
+     * @param {Object} cityEntity - City that lost the race
+     * @param {string} wonderType - Wonder key
+     * @param {Object} builderEntity - City that completed the wonder
+     * @returns {Object} What happened to the city's production
+     */
+    resolveLostRace(cityEntity, wonderType, builderEntity) {
+      const city = cityEntity.city;
+      const wasInProgress = city.productionQueue[0] === wonderType;
+      city.dequeueProduction(wonderType);
+
+      let outcome = 'removed';
+      let amount = 0;
+
+      if (wasInProgress && city.productionStored > 0) {
+        if (city.productionQueue.length > 0) {
+          outcome = 'converted';
+          amount = city.productionStored;
+        } else {
+          outcome = 'refunded';
+          amount = Math.floor(city.productionStored * REFUND_GOLD_PER_PRODUCTION);
+          city.productionStored = 0;
+
+          const player = this.game.gameState.players[city.owner];
+          if (player) {
+            player.addResource('gold', amount);
+          }
+        }
+      }
+
+      const report = {
+        playerId: city.owner,
+        cityId: cityEntity.id,
+        cityName: city.name,
+        wonder: wonderType,
+        builtBy: builderEntity.city.owner,
+        builtIn: builderEntity.city.name,
+        outcome,
+        amount,
+        convertedTo: outcome === 'converted' ? city.productionQueue[0] : null
+      };
+
+      console.log(`${city.name} lost the race for ${wonderType} (${outcome})`);
+      this.game.events.emit('wonder_lost', report);
+
+      return report;
+    }
+
+    /**
+     * Applies an empire-wide wonder effect to its owner
+     * Effects shared with technologies go through the ResearchSystem handlers
+     */
+    applyEmpireEffect(player, effect) {
+      const handler = this.effectHandlers[effect.type];
+      if (handler) {
+        handler(player, effect);
+        return true;
+      }
+      return this.game.systems.ResearchSystem.applyEffect(player, effect);
+    }
+
+    /**
+     * Refreshes the ongoing empire effects of a player's wonders
+     * Called once per turn when the player ends their turn
+     * @param {Object} player - The player
+     */
+    processTurn(player) {
+      for (const wonderType of this.getPlayerWonders(player.id)) {
+        const wonder = this.game.Rules.getWonderDefinition(wonderType);
+        for (const effect of (wonder && wonder.empire_effects) || []) {
+          if (ONGOING_EFFECTS.includes(effect.type)) {
+            this.applyEmpireEffect(player, effect);
+          }
+        }
+      }
+    }
+
+    /**
+     * Grants a player every technology known by enough other players
+     * @param {Object} player - The player
+     * @param {Object} effect - Effect with min_known_by, the number of other players
+     */
+    grantKnownTechnologies(player, effect) {
+      const others = this.game.gameState.players.filter(other => other.id !== player.id);
+
+      for (const techName of Object.keys(this.game.Rules.technologies)) {
+        if (player.hasTechnology(techName)) continue;
+
+        const knownBy = others.filter(other => other.hasTechnology(techName)).length;
+        if (knownBy >= effect.min_known_by) {
+          this.game.systems.ResearchSystem.grantTechnology(player, techName);
+        }
+      }
+    }
+  }
+
+  return new WonderSystem(gameEngine);
+};
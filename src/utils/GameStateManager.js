@@ -81,13 +81,16 @@ class GameStateManager {
         currentTurn: this.game.gameState.currentTurn,
         turnPhase: this.game.gameState.turnPhase,
         map: this.serializeMap(),
+        mapSettings: this.game.gameState.mapSettings,
+        wonders: { ...this.game.gameState.wonders },
         selectedEntity: this.game.gameState.selectedEntity ? this.game.gameState.selectedEntity.id : null,
         isRunning: this.game.gameState.isRunning,
         gameSpeed: this.game.gameState.gameSpeed,
         gameDate: this.game.gameState.gameDate
       },
       entities: this.serializeEntities(),
-      systems: this.serializeSystems()
+      systems: this.serializeSystems(),
+      random: this.game.random.getState()
     };
 
     return serializableState;
@@ -103,12 +106,16 @@ class GameStateManager {
     this.game.gameState.currentTurn = gameStateData.gameState.currentTurn;
     this.game.gameState.turnPhase = gameStateData.gameState.turnPhase;
     this.game.gameState.map = this.deserializeMap(gameStateData.gameState.map);
+    this.game.gameState.mapSettings = gameStateData.gameState.mapSettings;
+    this.game.setupGrid();
+    this.game.gameState.wonders = { ...gameStateData.gameState.wonders };
     this.game.gameState.isRunning = gameStateData.gameState.isRunning;
     this.game.gameState.gameSpeed = gameStateData.gameState.gameSpeed;
     this.game.gameState.gameDate = gameStateData.gameState.gameDate;
 
     // Restore entities
     this.game.entities = this.deserializeEntities(gameStateData.entities);
+    this.game.systems.VisibilitySystem.markDirty();
     
     // Link selected entity
     if (gameStateData.gameState.selectedEntity) {
@@ -118,6 +125,11 @@ class GameStateManager {
     // Restore system states
     this.deserializeSystems(gameStateData.systems);
 
+    // Resume the random streams exactly where the save left them
+    if (gameStateData.random) {
+      this.game.random.setState(gameStateData.random);
+    }
+
     console.log('Game state restored from save');
   }
 
@@ -139,6 +151,12 @@ class GameStateManager {
       isHuman: player.isHuman,
       victoryPoints: player.victoryPoints,
       techProgress: { ...player.techProgress },
+      currentResearch: player.currentResearch,
+      era: player.era,
+      modifiers: JSON.parse(JSON.stringify(player.modifiers)),
+      visibility: player.visibility ? [...player.visibility] : null,
+      tileMemory: player.tileMemory ? JSON.parse(JSON.stringify(player.tileMemory)) : null,
+      lastIncome: player.lastIncome ? JSON.parse(JSON.stringify(player.lastIncome)) : null,
       hasTurn: player.hasTurn
     }));
   }
@@ -162,6 +180,12 @@ class GameStateManager {
       player.isHuman = data.isHuman;
       player.victoryPoints = data.victoryPoints;
       player.techProgress = { ...data.techProgress };
+      player.currentResearch = data.currentResearch || null;
+      player.era = data.era || player.era;
+      if (data.modifiers) player.modifiers = JSON.parse(JSON.stringify(data.modifiers));
+      player.visibility = data.visibility ? [...data.visibility] : null;
+      player.tileMemory = data.tileMemory ? JSON.parse(JSON.stringify(data.tileMemory)) : null;
+      player.lastIncome = data.lastIncome ? JSON.parse(JSON.stringify(data.lastIncome)) : null;
       player.hasTurn = data.hasTurn;
       
       return player;
@@ -196,6 +220,9 @@ class GameStateManager {
             accessedBy: [...tile.resource.accessedBy]
           } : null,
           improvement: tile.improvement,
+          river: tile.river,
+          owner: tile.owner,
+          ownerCity: tile.ownerCity,
           walkable: tile.walkable,
           defenseBonus: tile.defenseBonus
         };
@@ -225,6 +252,9 @@ class GameStateManager {
         
         // Restore tile properties
         tile.improvement = tileData.improvement;
+        tile.river = !!tileData.river;
+        tile.owner = tileData.owner !== undefined ? tileData.owner : null;
+        tile.ownerCity = tileData.ownerCity !== undefined ? tileData.ownerCity : null;
         tile.walkable = tileData.walkable;
         tile.defenseBonus = tileData.defenseBonus;
         
@@ -277,11 +307,14 @@ class GameStateManager {
           movement: entity.unit.movement,
           maxMovement: entity.unit.maxMovement,
           range: entity.unit.range,
+          sight: entity.unit.sight,
           level: entity.unit.level,
           experience: entity.unit.experience,
           upgradeThreshold: entity.unit.upgradeThreshold,
           actionsRemaining: entity.unit.actionsRemaining,
-          promoted: entity.unit.promoted
+          fortified: entity.unit.fortified,
+          promotions: [...entity.unit.promotions],
+          pendingPromotions: entity.unit.pendingPromotions
         };
       }
       
@@ -365,11 +398,14 @@ class GameStateManager {
         entity.unit.movement = entityData.unit.movement;
         entity.unit.maxMovement = entityData.unit.maxMovement;
         entity.unit.range = entityData.unit.range;
+        if (entityData.unit.sight !== undefined) entity.unit.sight = entityData.unit.sight;
         entity.unit.level = entityData.unit.level;
         entity.unit.experience = entityData.unit.experience;
         entity.unit.upgradeThreshold = entityData.unit.upgradeThreshold;
         entity.unit.actionsRemaining = entityData.unit.actionsRemaining;
-        entity.unit.promoted = entityData.unit.promoted;
+        entity.unit.fortified = !!entityData.unit.fortified;
+        entity.unit.promotions = [...(entityData.unit.promotions || [])];
+        entity.unit.pendingPromotions = entityData.unit.pendingPromotions || 0;
       }
       
       if (entityData.tile) {
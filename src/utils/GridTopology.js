@@ -0,0 +1,397 @@
+/**
+ * Grid topologies for Civilization Revolution Remake
+ * A topology answers every geometric question about the map (neighbors,
+ * distance, range, tile placement on screen and screen-to-tile picking), so
+ * the rest of the game never assumes a particular tile shape
+ *
+ * Maps are always stored as [x][y] arrays; the topology decides how those
+ * coordinates connect. With wrapX the map is a cylinder: the east and west
+ * edges are adjacent, and every coordinate the topology returns is wrapped
+ * back into [0, width)
+ */
+
+class SquareGrid {
+  /**
+   * @param {number} width - Map width in tiles
+   * @param {number} height - Map height in tiles
+   * @param {Object} options - { wrapX } to join the east and west edges
+   */
+  constructor(width, height, options = {}) {
+    this.type = 'square';
+    this.width = width;
+    this.height = height;
+    this.wrapX = !!options.wrapX;
+  }
+
+  /**
+   * Bring a coordinate back onto the map across the east-west seam
+   * @returns {Object} {x, y}
+   */
+  wrap(x, y) {
+    if (!this.wrapX || this.width <= 0) {
+      return { x, y };
+    }
+    return { x: ((x % this.width) + this.width) % this.width, y };
+  }
+
+  isInBounds(x, y) {
+    return (this.wrapX || (x >= 0 && x < this.width)) && y >= 0 && y < this.height;
+  }
+
+  /**
+   * Offsets of the tiles adjacent to a tile
+   * @returns {Array} Array of {x, y} offsets
+   */
+  getDirections(x, y) {
+    return [
+      {x: 0, y: -1},  // North
+      {x: 1, y: 0},   // East
+      {x: 0, y: 1},   // South
+      {x: -1, y: 0}   // West
+    ];
+  }
+
+  /**
+   * Get the tiles adjacent to a tile, within the map bounds
+   * @returns {Array} Array of {x, y}
+   */
+  getNeighbors(x, y) {
+    const neighbors = [];
+    for (const dir of this.getDirections(x, y)) {
+      const nx = x + dir.x;
+      const ny = y + dir.y;
+      if (this.isInBounds(nx, ny)) {
+        neighbors.push(this.wrap(nx, ny));
+      }
+    }
+    return neighbors;
+  }
+
+  /**
+   * Number of steps between two tiles, going across the seam when shorter
+   */
+  getDistance(x1, y1, x2, y2) {
+    if (!this.wrapX) {
+      return this.getStepDistance(x1, y1, x2, y2);
+    }
+
+    const a = this.wrap(x1, y1);
+    const b = this.wrap(x2, y2);
+    return Math.min(
+      this.getStepDistance(a.x, a.y, b.x, b.y),
+      this.getStepDistance(a.x, a.y, b.x - this.width, b.y),
+      this.getStepDistance(a.x, a.y, b.x + this.width, b.y)
+    );
+  }
+
+  /**
+   * Number of steps between two tiles on an unwrapped plane (Manhattan distance)
+   */
+  getStepDistance(x1, y1, x2, y2) {
+    return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+  }
+
+  isInRange(x1, y1, x2, y2, range) {
+    return this.getDistance(x1, y1, x2, y2) <= range;
+  }
+
+  /**
+   * Get every tile within a number of steps of a tile, including the tile itself
+   * @returns {Array} Array of {x, y}, nearest first
+   */
+  getTilesInRange(x, y, range) {
+    return this.collectTilesInRange(x, y, range, range);
+  }
+
+  /**
+   * Collect the tiles in range from a box of candidate offsets
+   * A tile reachable both ways around a narrow wrapped map is listed once
+   */
+  collectTilesInRange(x, y, range, reachX) {
+    const tiles = [];
+    const seen = new Set();
+    for (let dx = -reachX; dx <= reachX; dx++) {
+      for (let dy = -range; dy <= range; dy++) {
+        if (!this.isInBounds(x + dx, y + dy)) continue;
+
+        const tile = this.wrap(x + dx, y + dy);
+        const key = `${tile.x},${tile.y}`;
+        if (!seen.has(key) && this.isInRange(x, y, tile.x, tile.y, range)) {
+          seen.add(key);
+          tiles.push(tile);
+        }
+      }
+    }
+    return tiles.sort((a, b) => this.getDistance(x, y, a.x, a.y) - this.getDistance(x, y, b.x, b.y));
+  }
+
+  /**
+   * Get the tiles on a straight line between two tiles, both ends included
+   * On a wrapped map the line takes the shorter way around
+   * @returns {Array} Array of {x, y} from the first tile to the second
+   */
+  getLine(x1, y1, x2, y2) {
+    const end = this.getNearestCopy(x1, y1, x2, y2);
+    const steps = this.getDistance(x1, y1, x2, y2);
+    const line = [];
+
+    for (let step = 0; step <= steps; step++) {
+      const t = steps === 0 ? 0 : step / steps;
+      const point = this.interpolate(x1, y1, end, y2, t);
+      line.push(this.wrap(point.x, point.y));
+    }
+
+    return line;
+  }
+
+  /**
+   * X coordinate of the copy of (x2, y2) fewest steps from (x1, y1)
+   * (x2 itself unless wrapped). Steps rather than columns decide, since on
+   * hex maps the row offset can make the farther column the shorter way
+   */
+  getNearestCopy(x1, y1, x2, y2) {
+    if (!this.wrapX) {
+      return x2;
+    }
+    return [x2, x2 - this.width, x2 + this.width]
+      .reduce((best, x) => (this.getStepDistance(x1, y1, x, y2) < this.getStepDistance(x1, y1, best, y2) ? x : best));
+  }
+
+  /**
+   * Tile at a fraction t of the way between two tiles
+   */
+  interpolate(x1, y1, x2, y2, t) {
+    // Nudge towards the end so lines through tile corners resolve consistently
+    return {
+      x: Math.round(x1 + (x2 - x1) * t + 1e-6),
+      y: Math.round(y1 + (y2 - y1) * t + 1e-6)
+    };
+  }
+
+  /**
+   * Size in pixels of a tile's bounding box
+   * @param {number} tileSize - Tile width in pixels
+   */
+  getTileBounds(tileSize) {
+    return { width: tileSize, height: tileSize };
+  }
+
+  /**
+   * Size in pixels of the whole map; on a wrapped map the width is the
+   * distance after which the map repeats
+   */
+  getMapPixelSize(tileSize) {
+    const bounds = this.getTileBounds(tileSize);
+    const lastRow = this.tileToPixel(0, this.height - 1, tileSize);
+    return { width: this.width * tileSize, height: lastRow.y + bounds.height };
+  }
+
+  /**
+   * Screen position of the top-left corner of a tile's bounding box
+   * @returns {Object} {x, y} in pixels
+   */
+  tileToPixel(x, y, tileSize) {
+    return { x: x * tileSize, y: y * tileSize };
+  }
+
+  /**
+   * Tile under a screen position
+   * @returns {Object} {x, y} tile coordinates (may be out of bounds)
+   */
+  pixelToTile(px, py, tileSize) {
+    return this.wrap(Math.floor(px / tileSize), Math.floor(py / tileSize));
+  }
+
+  /**
+   * Outline of a tile relative to the top-left of its bounding box
+   * @returns {Array} Flat array of polygon points for PIXI.Graphics.drawPolygon
+   */
+  getTileOutline(tileSize) {
+    return [0, 0, tileSize, 0, tileSize, tileSize, 0, tileSize];
+  }
+
+  /**
+   * Edges of a tile, each with the neighbor across it
+   * @returns {Array} One { x, y, points } per direction: x/y is the neighbor
+   *   (wrapped, possibly out of bounds) and points is [x1, y1, x2, y2]
+   *   relative to the top-left of the tile's bounding box
+   */
+  getTileEdges(x, y, tileSize) {
+    const outline = this.getTileOutline(tileSize);
+    const corners = this.getEdgeCorners();
+
+    return this.getDirections(x, y).map((dir, index) => {
+      const [a, b] = corners[index];
+      const neighbor = this.wrap(x + dir.x, y + dir.y);
+      return {
+        x: neighbor.x,
+        y: neighbor.y,
+        points: [outline[a * 2], outline[a * 2 + 1], outline[b * 2], outline[b * 2 + 1]]
+      };
+    });
+  }
+
+  /**
+   * Outline corners joined by the edge facing each direction of getDirections
+   * @returns {Array} Pairs of corner indexes into getTileOutline
+   */
+  getEdgeCorners() {
+    // North, east, south, west
+    return [[0, 1], [1, 2], [2, 3], [3, 0]];
+  }
+}
+
+/**
+ * Pointy-top hexagons in "odd-r" offset coordinates: odd rows are shifted
+ * half a tile to the right. Distances are computed in cube coordinates
+ */
+class HexGrid extends SquareGrid {
+  constructor(width, height, options = {}) {
+    super(width, height, options);
+    this.type = 'hex';
+  }
+
+  getDirections(x, y) {
+    if (y & 1) {
+      return [
+        {x: 1, y: 0}, {x: 1, y: -1}, {x: 0, y: -1},
+        {x: -1, y: 0}, {x: 0, y: 1}, {x: 1, y: 1}
+      ];
+    }
+    return [
+      {x: 1, y: 0}, {x: 0, y: -1}, {x: -1, y: -1},
+      {x: -1, y: 0}, {x: -1, y: 1}, {x: 0, y: 1}
+    ];
+  }
+
+  toCube(x, y) {
+    const q = x - (y - (y & 1)) / 2;
+    return { q, r: y, s: -q - y };
+  }
+
+  fromCube(q, r) {
+    return { x: q + (r - (r & 1)) / 2, y: r };
+  }
+
+  getStepDistance(x1, y1, x2, y2) {
+    const a = this.toCube(x1, y1);
+    const b = this.toCube(x2, y2);
+    return Math.max(Math.abs(a.q - b.q), Math.abs(a.r - b.r), Math.abs(a.s - b.s));
+  }
+
+  getTilesInRange(x, y, range) {
+    // Rows above and below can reach one column further on the shifted side
+    return this.collectTilesInRange(x, y, range, range + 1);
+  }
+
+  interpolate(x1, y1, x2, y2, t) {
+    // Interpolate in cube coordinates, then round to the nearest hex
+    const a = this.toCube(x1, y1);
+    const b = this.toCube(x2, y2);
+    const q = a.q + (b.q - a.q) * t + 1e-6;
+    const r = a.r + (b.r - a.r) * t + 1e-6;
+    const rounded = this.roundCube(q, r);
+    return this.fromCube(rounded.q, rounded.r);
+  }
+
+  getTileBounds(tileSize) {
+    return { width: tileSize, height: tileSize * 2 / Math.sqrt(3) };
+  }
+
+  tileToPixel(x, y, tileSize) {
+    const { height } = this.getTileBounds(tileSize);
+    return {
+      x: x * tileSize + (y & 1 ? tileSize / 2 : 0),
+      y: y * height * 0.75
+    };
+  }
+
+  pixelToTile(px, py, tileSize) {
+    const { width, height } = this.getTileBounds(tileSize);
+    const size = height / 2;
+
+    // Position relative to the center of tile (0, 0), in fractional axial coordinates
+    const cx = px - width / 2;
+    const cy = py - height / 2;
+    const q = (Math.sqrt(3) / 3 * cx - cy / 3) / size;
+    const r = (2 / 3 * cy) / size;
+
+    const { q: roundedQ, r: roundedR } = this.roundCube(q, r);
+    const tile = this.fromCube(roundedQ, roundedR);
+    return this.wrap(tile.x, tile.y);
+  }
+
+  roundCube(q, r) {
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+
+    if (dq > dr && dq > ds) {
+      rq = -rr - rs;
+    } else if (dr > ds) {
+      rr = -rq - rs;
+    }
+
+    return { q: rq, r: rr };
+  }
+
+  getTileOutline(tileSize) {
+    const { width, height } = this.getTileBounds(tileSize);
+    return [
+      width / 2, 0,
+      width, height / 4,
+      width, height * 3 / 4,
+      width / 2, height,
+      0, height * 3 / 4,
+      0, height / 4
+    ];
+  }
+
+  getEdgeCorners() {
+    // East, north-east, north-west, west, south-west, south-east
+    return [[1, 2], [0, 1], [5, 0], [4, 5], [3, 4], [2, 3]];
+  }
+}
+
+const TOPOLOGIES = {
+  square: SquareGrid,
+  hex: HexGrid
+};
+
+/**
+ * Create the topology for a map
+ * @param {string} type - Topology key ('square' or 'hex')
+ * @param {number} width - Map width in tiles
+ * @param {number} height - Map height in tiles
+ * @param {Object} options - { wrapX } for an east-west cylindrical map
+ * @returns {SquareGrid} Topology instance
+ */
+function createTopology(type, width, height, options = {}) {
+  const Topology = TOPOLOGIES[type];
+  if (!Topology) {
+    throw new Error(`Unknown grid topology ${type}`);
+  }
+  return new Topology(width, height, options);
+}
+
+/**
+ * Register a custom topology class
+ * @param {string} type - Topology key
+ * @param {Function} Topology - Class implementing the SquareGrid interface
+ */
+function registerTopology(type, Topology) {
+  TOPOLOGIES[type] = Topology;
+}
+
+module.exports = {
+  SquareGrid,
+  HexGrid,
+  createTopology,
+  registerTopology,
+  getTopologyTypes: () => Object.keys(TOPOLOGIES)
+};
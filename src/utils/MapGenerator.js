@@ -0,0 +1,456 @@
+/**
+ * Procedural map generator for Civilization Revolution Remake
+ * Builds a map from seeded elevation, moisture and latitude fields and
+ * assigns every terrain type defined in data/terrains.json
+ */
+
+const Random = require('./Random');
+const MapScripts = require('./MapScripts');
+const { createTopology } = require('./GridTopology');
+
+const DEFAULT_OPTIONS = {
+  width: 20,
+  height: 15,
+  seed: null,
+  script: 'continents', // Key of the map script shaping the land (see MapScripts)
+  topology: 'square', // Grid topology key (see GridTopology)
+  wrapX: false, // Join the east and west edges into a cylinder
+  players: 2, // Number of players that need starting land
+  minStartTiles: 12, // Land tiles each player needs on their starting landmass
+  maxAttempts: 10, // Reseeded attempts before giving up on start requirements
+  landRatio: 0.45, // Fraction of tiles that are land
+  hillLevel: 0.55, // Land elevation above which hills appear
+  mountainLevel: 0.8, // Land elevation above which mountains appear
+  lakeMaxSize: 4, // Enclosed water bodies up to this size become lakes
+  resourceChance: 0.12, // Chance of a resource on a land tile
+  rivers: 4, // Rivers flowing downhill from high land toward water
+  octaves: 4
+};
+
+class MapGenerator {
+  constructor(gameEngine) {
+    this.game = gameEngine;
+    this.settings = null;
+    this.landmasses = [];
+    this.startLandmasses = [];
+  }
+
+  /**
+   * Generate a new map
+   * Maps that cannot seat every player under the script's start rules are
+   * regenerated from a derived seed, so the result stays reproducible
+   * @param {Object} options - Generation options (see DEFAULT_OPTIONS and the script's defaults)
+   * @returns {Array} Map as a [x][y] array of Tile components
+   */
+  generate(options = {}) {
+    const scriptKey = options.script || DEFAULT_OPTIONS.script;
+    const script = MapScripts.get(scriptKey);
+    if (!script) {
+      throw new Error(`Unknown map script ${scriptKey}`);
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...script.defaults, ...options, script: scriptKey };
+    if (settings.seed === null || settings.seed === undefined) {
+      // Without an explicit map seed the map follows the game seed
+      settings.seed = this.game.random.seed;
+    }
+    this.settings = settings;
+    this.script = script;
+    this.width = settings.width;
+    this.height = settings.height;
+    this.grid = createTopology(settings.topology, settings.width, settings.height, { wrapX: settings.wrapX });
+
+    let map = null;
+    for (let attempt = 0; attempt < settings.maxAttempts; attempt++) {
+      map = this.generateAttempt(attempt === 0 ? settings.seed : `${settings.seed}:${attempt}`);
+      this.landmasses = this.findLandmasses(map);
+
+      const plan = MapScripts.planStartLandmasses(script, this.landmasses, settings.players, settings.minStartTiles);
+      if (plan.success) {
+        this.startLandmasses = plan.landmasses;
+        settings.attempt = attempt;
+        return map;
+      }
+    }
+
+    console.warn(`Map script ${scriptKey} could not seat ${settings.players} players after ${settings.maxAttempts} attempts`);
+    this.startLandmasses = this.landmasses.slice(0, 1);
+    settings.attempt = settings.maxAttempts - 1;
+    return map;
+  }
+
+  /**
+   * Generate a single candidate map from a seed
+   * @param {number|string} seed - Seed for this attempt
+   * @returns {Array} Map as a [x][y] array of Tile components
+   */
+  generateAttempt(seed) {
+    const settings = this.settings;
+    this.seed = Random.hashSeed(seed);
+    this.random = new Random(this.seed);
+
+    const elevation = this.generateElevation();
+    const moisture = this.normalizeField(this.generateNoiseField(2));
+    const seaLevel = this.findSeaLevel(elevation, settings.landRatio);
+
+    const types = this.classifyTerrain(elevation, moisture, seaLevel);
+    this.markCoastsAndLakes(types);
+
+    const map = this.buildTiles(types);
+    this.traceRivers(map, elevation);
+    return map;
+  }
+
+  /**
+   * Generate the elevation field, shaped by the map script
+   * @returns {Array} [x][y] array of values in [0, 1]
+   */
+  generateElevation() {
+    const noise = this.generateNoiseField(1);
+    return this.normalizeField(this.script.shapeElevation(this, noise));
+  }
+
+  /**
+   * Get how close a tile is to the map edge
+   * A wrapped map has no east or west edge, so only the poles count
+   * @returns {number} 0 in the interior, rising to 1 at the edge
+   */
+  getEdgeFalloff(x, y) {
+    const dx = this.settings.wrapX ? 0 : Math.abs((x + 0.5) / this.width - 0.5) * 2;
+    const dy = Math.abs((y + 0.5) / this.height - 0.5) * 2 * 0.85; // Leave room for polar land
+    const edge = Math.max(dx, dy);
+    return Math.max(0, (edge - 0.5) / 0.5);
+  }
+
+  /**
+   * Generate a fractal value-noise field
+   * @param {number} salt - Distinguishes independent fields generated from the same seed
+   * @param {number} frequencyScale - Multiplier on the base frequency (higher = smaller features)
+   * @returns {Array} [x][y] array of raw noise values
+   */
+  generateNoiseField(salt, frequencyScale = 1) {
+    const field = [];
+    const baseFrequency = 4 * frequencyScale / Math.max(this.width, this.height);
+
+    for (let x = 0; x < this.width; x++) {
+      field[x] = [];
+      for (let y = 0; y < this.height; y++) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = baseFrequency;
+
+        for (let octave = 0; octave < this.settings.octaves; octave++) {
+          // On a wrapped map the noise repeats every map width so the seam is invisible
+          const period = this.settings.wrapX ? Math.max(1, Math.round(this.width * frequency)) : 0;
+          const xFrequency = period ? period / this.width : frequency;
+          value += amplitude * this.valueNoise(x * xFrequency, y * frequency, salt * 16 + octave, period);
+          amplitude *= 0.5;
+          frequency *= 2;
+        }
+
+        field[x][y] = value;
+      }
+    }
+
+    return field;
+  }
+
+  /**
+   * Smoothly interpolated lattice noise
+   * @param {number} period - Lattice columns after which the noise repeats (0 = never)
+   * @returns {number} Value in [0, 1)
+   */
+  valueNoise(x, y, salt, period = 0) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const sx = this.smoothstep(x - x0);
+    const sy = this.smoothstep(y - y0);
+    const x1 = period ? (x0 + 1) % period : x0 + 1;
+    const xa = period ? x0 % period : x0;
+
+    const top = this.lerp(this.latticeValue(xa, y0, salt), this.latticeValue(x1, y0, salt), sx);
+    const bottom = this.lerp(this.latticeValue(xa, y0 + 1, salt), this.latticeValue(x1, y0 + 1, salt), sx);
+    return this.lerp(top, bottom, sy);
+  }
+
+  /**
+   * Deterministic pseudo-random value for a lattice point
+   * @returns {number} Value in [0, 1)
+   */
+  latticeValue(ix, iy, salt) {
+    let hash = this.seed ^ Math.imul(ix, 374761393) ^ Math.imul(iy, 668265263) ^ Math.imul(salt, 2246822519);
+    hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+  }
+
+  smoothstep(t) {
+    return t * t * (3 - 2 * t);
+  }
+
+  lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  /**
+   * Rescale a field so its values span [0, 1]
+   */
+  normalizeField(field) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const column of field) {
+      for (const value of column) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+
+    const range = max - min || 1;
+    return field.map(column => column.map(value => (value - min) / range));
+  }
+
+  /**
+   * Find the elevation below which tiles are water so that the requested
+   * fraction of the map is land
+   */
+  findSeaLevel(elevation, landRatio) {
+    const values = elevation.flat().sort((a, b) => a - b);
+    const waterTiles = Math.round(values.length * (1 - landRatio));
+    if (waterTiles <= 0) return -Infinity;
+    if (waterTiles >= values.length) return Infinity;
+    return values[waterTiles];
+  }
+
+  /**
+   * Get the latitude of a row
+   * @returns {number} 0 at the equator, 1 at the poles
+   */
+  getLatitude(y) {
+    if (this.height <= 1) return 0;
+    return Math.abs(y / (this.height - 1) - 0.5) * 2;
+  }
+
+  /**
+   * Assign a terrain type to every tile; all water starts out as ocean
+   * @returns {Array} [x][y] array of terrain type keys
+   */
+  classifyTerrain(elevation, moisture, seaLevel) {
+    const types = [];
+
+    for (let x = 0; x < this.width; x++) {
+      types[x] = [];
+      for (let y = 0; y < this.height; y++) {
+        if (elevation[x][y] < seaLevel) {
+          types[x][y] = 'ocean';
+          continue;
+        }
+
+        // Height above sea level, rescaled to [0, 1]
+        const shore = Math.max(0, seaLevel);
+        const landElevation = (elevation[x][y] - shore) / (1 - shore || 1);
+        const temperature = 1 - this.getLatitude(y) * 1.2 - landElevation * 0.2;
+
+        types[x][y] = this.getLandTerrain(landElevation, temperature, moisture[x][y]);
+      }
+    }
+
+    return types;
+  }
+
+  /**
+   * Choose a land terrain from elevation, temperature and moisture
+   */
+  getLandTerrain(landElevation, temperature, moisture) {
+    if (landElevation >= this.settings.mountainLevel) return 'mountain';
+    if (temperature < 0.12) return 'snow';
+    if (temperature < 0.25) return 'tundra';
+    if (landElevation >= this.settings.hillLevel) return 'hills';
+    if (temperature > 0.6 && moisture < 0.3) return 'desert';
+    if (temperature > 0.65 && moisture > 0.7) return 'jungle';
+    if (moisture > 0.62) return 'forest';
+    if (moisture < 0.4) return 'plains';
+    return 'grass';
+  }
+
+  /**
+   * Turn ocean next to land into coast, and small enclosed water bodies into lakes
+   */
+  markCoastsAndLakes(types) {
+    const visited = new Set();
+
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        if (types[x][y] !== 'ocean' || visited.has(`${x},${y}`)) continue;
+
+        const body = this.floodFill(types, x, y, type => type === 'ocean', visited);
+        const touchesEdge = body.some(tile =>
+          tile.y === 0 || tile.y === this.height - 1 ||
+          (!this.settings.wrapX && (tile.x === 0 || tile.x === this.width - 1))
+        );
+
+        if (!touchesEdge && body.length <= this.settings.lakeMaxSize) {
+          body.forEach(tile => { types[tile.x][tile.y] = 'lake'; });
+        }
+      }
+    }
+
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        if (types[x][y] === 'ocean' && this.isNextToLand(types, x, y)) {
+          types[x][y] = 'coast';
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the connected areas of passable land
+   * @param {Array} map - Map as a [x][y] array of Tile components
+   * @returns {Array} Landmasses as { id, size, tiles }, largest first
+   */
+  findLandmasses(map) {
+    const isLand = map.map(column => column.map(tile => tile.walkable && !this.isWater(tile.type)));
+    const visited = new Set();
+    const landmasses = [];
+
+    for (let x = 0; x < map.length; x++) {
+      for (let y = 0; y < map[x].length; y++) {
+        if (!isLand[x][y] || visited.has(`${x},${y}`)) continue;
+
+        const tiles = this.floodFill(isLand, x, y, land => land, visited);
+        landmasses.push({ size: tiles.length, tiles });
+      }
+    }
+
+    landmasses.sort((a, b) => b.size - a.size);
+    landmasses.forEach((landmass, index) => { landmass.id = index; });
+    return landmasses;
+  }
+
+  /**
+   * Collect the connected tiles matching a predicate
+   * @returns {Array} Array of {x, y}
+   */
+  floodFill(types, startX, startY, predicate, visited = new Set()) {
+    const tiles = [];
+    const stack = [{x: startX, y: startY}];
+    visited.add(`${startX},${startY}`);
+
+    while (stack.length > 0) {
+      const tile = stack.pop();
+      tiles.push(tile);
+
+      for (const neighbor of this.getAdjacent(tile.x, tile.y)) {
+        const key = `${neighbor.x},${neighbor.y}`;
+        if (!visited.has(key) && predicate(types[neighbor.x][neighbor.y])) {
+          visited.add(key);
+          stack.push(neighbor);
+        }
+      }
+    }
+
+    return tiles;
+  }
+
+  getAdjacent(x, y) {
+    return this.grid.getNeighbors(x, y);
+  }
+
+  isNextToLand(types, x, y) {
+    return this.grid.getNeighbors(x, y).some(neighbor => !this.isWater(types[neighbor.x][neighbor.y]));
+  }
+
+  isWater(type) {
+    return type === 'ocean' || type === 'coast' || type === 'lake';
+  }
+
+  /**
+   * Run rivers downhill from random high land tiles until they reach water,
+   * join another river or find no lower land
+   * @param {Array} map - Map as a [x][y] array of Tile components
+   * @param {Array} elevation - Elevation field
+   */
+  traceRivers(map, elevation) {
+    const isLand = tile => tile.walkable && !this.isWater(tile.type);
+
+    const land = [];
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        if (isLand(map[x][y])) land.push({x, y});
+      }
+    }
+
+    // Sources come from the highest quarter of the land
+    land.sort((a, b) => elevation[b.x][b.y] - elevation[a.x][a.y]);
+    const candidates = land.slice(0, Math.ceil(land.length / 4));
+    const sources = [];
+    while (sources.length < this.settings.rivers && candidates.length > 0) {
+      sources.push(candidates.splice(this.random.nextInt(0, candidates.length - 1), 1)[0]);
+    }
+
+    for (const source of sources) {
+      let current = source;
+      while (current && !map[current.x][current.y].river) {
+        map[current.x][current.y].river = true;
+
+        const neighbors = this.getAdjacent(current.x, current.y);
+        if (neighbors.some(tile => this.isWater(map[tile.x][tile.y].type))) break;
+
+        current = neighbors
+          .filter(tile => isLand(map[tile.x][tile.y]) && elevation[tile.x][tile.y] < elevation[current.x][current.y])
+          .sort((a, b) => elevation[a.x][a.y] - elevation[b.x][b.y])[0];
+      }
+    }
+  }
+
+  /**
+   * Create Tile components and place resources
+   */
+  buildTiles(types) {
+    const { Tile, Resource } = this.game.components;
+    const map = [];
+
+    for (let x = 0; x < this.width; x++) {
+      map[x] = [];
+      for (let y = 0; y < this.height; y++) {
+        const tile = new Tile(x, y);
+        tile.setType(types[x][y]);
+
+        const resourceType = this.chooseResource(tile.type);
+        if (resourceType) {
+          tile.resource = new Resource(resourceType, this.random.nextInt(5, 14), {x, y});
+        }
+
+        map[x][y] = tile;
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Choose which resource, if any, a tile of a terrain type receives
+   * @returns {string|null} Resource type
+   */
+  chooseResource(terrainType) {
+    const resourcesByTerrain = {
+      grass: ['food', 'food', 'gold'],
+      plains: ['food', 'production'],
+      hills: ['production', 'gold'],
+      forest: ['production', 'food'],
+      jungle: ['food', 'gold'],
+      desert: ['gold', 'production'],
+      tundra: ['food', 'production'],
+      coast: ['food']
+    };
+
+    const candidates = resourcesByTerrain[terrainType];
+    if (!candidates || !this.random.chance(this.settings.resourceChance)) {
+      return null;
+    }
+
+    return this.random.pick(candidates);
+  }
+}
+
+module.exports = MapGenerator;
@@ -0,0 +1,172 @@
+/**
+ * Map scripts for Civilization Revolution Remake
+ * Each script shapes the generator's elevation noise into a distinct kind of
+ * world and declares how players must be able to start on it
+ *
+ * A script is an object with:
+ *   name            - Display name
+ *   description     - Short description for the map-creation screen
+ *   defaults        - Generator options the script overrides (landRatio, hillLevel, ...)
+ *   startMode       - 'shared' if all players must start on one landmass,
+ *                     'separate' if players may be spread over several landmasses
+ *   shapeElevation  - function(generator, noise) returning the shaped [x][y] elevation field
+ */
+
+class MapScriptRegistry {
+  constructor() {
+    this.scripts = {};
+  }
+
+  /**
+   * Register a map script
+   * @param {string} key - Script key used in game options (e.g. 'continents')
+   * @param {Object} script - Script definition
+   */
+  register(key, script) {
+    if (typeof script.shapeElevation !== 'function') {
+      throw new Error(`Map script ${key} must define shapeElevation`);
+    }
+    if (!['shared', 'separate'].includes(script.startMode)) {
+      throw new Error(`Map script ${key} must have a startMode of 'shared' or 'separate'`);
+    }
+
+    this.scripts[key] = { defaults: {}, description: '', ...script, key };
+  }
+
+  /**
+   * Get a map script
+   * @param {string} key - Script key
+   * @returns {Object|null} Script definition or null if unknown
+   */
+  get(key) {
+    return this.scripts[key] || null;
+  }
+
+  /**
+   * Get the keys of all registered scripts
+   * @returns {Array} Array of script keys
+   */
+  getKeys() {
+    return Object.keys(this.scripts);
+  }
+
+  /**
+   * Choose the landmasses players will start on
+   * @param {Object} script - Map script
+   * @param {Array} landmasses - Landmasses sorted by size, largest first
+   * @param {number} playerCount - Number of players to place
+   * @param {number} minStartTiles - Land tiles each player needs around their start
+   * @returns {Object} { success, landmasses } or { success: false, error }
+   */
+  planStartLandmasses(script, landmasses, playerCount, minStartTiles) {
+    if (script.startMode === 'shared') {
+      const largest = landmasses[0];
+      if (!largest || largest.size < playerCount * minStartTiles) {
+        return { success: false, error: `No landmass can hold ${playerCount} players` };
+      }
+      return { success: true, landmasses: [largest] };
+    }
+
+    // Separate starts: spread players over every landmass large enough for one
+    const usable = landmasses.filter(landmass => landmass.size >= minStartTiles);
+    const capacity = usable.reduce((sum, landmass) => sum + Math.floor(landmass.size / minStartTiles), 0);
+    if (capacity < playerCount || usable.length < Math.min(2, playerCount)) {
+      return { success: false, error: `Landmasses can only hold ${capacity} players` };
+    }
+    return { success: true, landmasses: usable };
+  }
+}
+
+/**
+ * Distance of a tile from a point, relative to the map size
+ */
+function relativeDistance(generator, x, y, centerX, centerY) {
+  const dx = (x - centerX) / generator.width;
+  const dy = (y - centerY) / generator.height;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+const registry = new MapScriptRegistry();
+
+registry.register('continents', {
+  name: 'Continents',
+  description: 'Two or more large continents separated by ocean',
+  defaults: { landRatio: 0.4, continents: 2 },
+  startMode: 'separate',
+  shapeElevation(generator, noise) {
+    const count = Math.max(2, generator.settings.continents);
+    const spacing = generator.width / count;
+
+    return noise.map((column, x) => column.map((value, y) => {
+      // Each continent owns a vertical band; the band edges become ocean channels
+      const band = Math.min(count - 1, Math.floor(x / spacing));
+      const centerX = (band + 0.5) * spacing;
+      const bandFalloff = Math.abs(x - centerX) / (spacing / 2);
+      const channel = Math.max(0, (bandFalloff - 0.6) / 0.4);
+
+      return value - channel * 1.5 - generator.getEdgeFalloff(x, y) * 1.2;
+    }));
+  }
+});
+
+registry.register('pangaea', {
+  name: 'Pangaea',
+  description: 'A single supercontinent surrounded by ocean',
+  defaults: { landRatio: 0.45 },
+  startMode: 'shared',
+  shapeElevation(generator, noise) {
+    const centerX = (generator.width - 1) / 2;
+    const centerY = (generator.height - 1) / 2;
+
+    return noise.map((column, x) => column.map((value, y) => {
+      const distance = relativeDistance(generator, x, y, centerX, centerY);
+      return value * 0.6 + (1 - distance * 2) - generator.getEdgeFalloff(x, y);
+    }));
+  }
+});
+
+registry.register('archipelago', {
+  name: 'Archipelago',
+  description: 'Many small islands that reward naval expansion',
+  defaults: { landRatio: 0.3, minStartTiles: 6 },
+  startMode: 'separate',
+  shapeElevation(generator, noise) {
+    // High-frequency noise breaks the land into islands
+    const islands = generator.generateNoiseField(3, 3);
+
+    return noise.map((column, x) => column.map((value, y) =>
+      value * 0.3 + islands[x][y] - generator.getEdgeFalloff(x, y) * 1.2
+    ));
+  }
+});
+
+registry.register('inland_sea', {
+  name: 'Inland Sea',
+  description: 'A ring of land around a large central sea',
+  defaults: { landRatio: 0.5 },
+  startMode: 'shared',
+  shapeElevation(generator, noise) {
+    const centerX = (generator.width - 1) / 2;
+    const centerY = (generator.height - 1) / 2;
+
+    return noise.map((column, x) => column.map((value, y) => {
+      const distance = relativeDistance(generator, x, y, centerX, centerY);
+      const ring = 1 - Math.abs(distance - 0.3) / 0.15;
+      return value * 0.4 + Math.max(-1, ring) - generator.getEdgeFalloff(x, y);
+    }));
+  }
+});
+
+registry.register('highlands', {
+  name: 'Highlands',
+  description: 'Rugged land dominated by hills and mountain ranges',
+  defaults: { landRatio: 0.6, hillLevel: 0.3, mountainLevel: 0.75 },
+  startMode: 'shared',
+  shapeElevation(generator, noise) {
+    return noise.map((column, x) => column.map((value, y) =>
+      value - generator.getEdgeFalloff(x, y) * 1.2
+    ));
+  }
+});
+
+module.exports = registry;
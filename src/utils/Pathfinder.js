@@ -18,6 +18,10 @@ class Pathfinder {
    * @returns {Array|null} Array of coordinates representing the path, or null if no path exists
    */
   findPath(startX, startY, endX, endY, maxMovement = null) {
+    // Bring coordinates past the seam of a wrapped map back onto the map
+    ({ x: startX, y: startY } = this.game.grid.wrap(startX, startY));
+    ({ x: endX, y: endY } = this.game.grid.wrap(endX, endY));
+
     // If destination is the same as start, return empty path
     if (startX === endX && startY === endY) {
       return [];
@@ -112,7 +116,7 @@ class Pathfinder {
   }
 
   /**
-   * Calculate heuristic distance (Manhattan distance)
+   * Calculate heuristic distance (step distance of the map's grid topology)
    * @param {number} x1 - First point X
    * @param {number} y1 - First point Y
    * @param {number} x2 - Second point X
@@ -120,7 +124,7 @@ class Pathfinder {
    * @returns {number} Heuristic distance
    */
   heuristic(x1, y1, x2, y2) {
-    return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+    return this.game.grid.getDistance(x1, y1, x2, y2);
   }
 
   /**
@@ -130,30 +134,13 @@ class Pathfinder {
    * @returns {Array} Array of neighboring coordinates
    */
   getNeighbors(x, y) {
-    const neighbors = [];
-    const directions = [
-      {x: 0, y: -1},  // North
-      {x: 1, y: 0},   // East
-      {x: 0, y: 1},   // South
-      {x: -1, y: 0}   // West
-    ];
-
-    for (const dir of directions) {
-      const newX = x + dir.x;
-      const newY = y + dir.y;
-
-      // Check if neighbor is within map bounds
-      if (this.isValidCoordinate(newX, newY)) {
-        const tile = this.getTileAt(newX, newY);
-        
-        // Only add if tile is walkable
-        if (tile && tile.walkable) {
-          neighbors.push({x: newX, y: newY});
-        }
-      }
-    }
-
-    return neighbors;
+    // Adjacency depends on the map's grid topology (square, hex, ...)
+    return this.game.grid.getNeighbors(x, y).filter(neighbor => {
+      const tile = this.getTileAt(neighbor.x, neighbor.y);
+      
+      // Only add if tile is walkable
+      return tile && tile.walkable;
+    });
   }
 
   /**
@@ -173,14 +160,14 @@ class Pathfinder {
 
   /**
    * Check if coordinates are valid (within map bounds)
+   * On an east-west wrapped map any X coordinate is valid
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @returns {boolean} Whether coordinates are valid
    */
   isValidCoordinate(x, y) {
     if (!this.game.gameState.map) return false;
-    return x >= 0 && x < this.game.gameState.map.length && 
-           y >= 0 && y < this.game.gameState.map[0].length;
+    return this.game.grid.isInBounds(x, y);
   }
 
   /**
@@ -192,7 +179,8 @@ class Pathfinder {
   getTileAt(x, y) {
     if (!this.isValidCoordinate(x, y)) return null;
     if (!this.game.gameState.map) return null;
-    return this.game.gameState.map[x][y];
+    const tile = this.game.grid.wrap(x, y);
+    return this.game.gameState.map[tile.x][tile.y];
   }
 
   /**
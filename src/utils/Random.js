@@ -0,0 +1,110 @@
+/**
+ * Seeded random number generator for Civilization Revolution Remake
+ * Produces the same sequence of numbers for the same seed (mulberry32)
+ */
+
+class Random {
+  /**
+   * @param {number|string} seed - Seed for the generator
+   */
+  constructor(seed = Date.now()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the generator to the start of a seed's sequence
+   * @param {number|string} seed - Seed for the generator
+   */
+  setSeed(seed) {
+    this.seed = Random.hashSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next number in the sequence
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random integer
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @returns {number} Integer in [min, max]
+   */
+  nextInt(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Get a random float
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Float in [min, max)
+   */
+  nextFloat(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Returns true with the given probability
+   * @param {number} probability - Probability in [0, 1]
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element, or undefined for an empty array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Get the generator state so the sequence can be resumed later
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore a state returned by getState()
+   * @param {Object} state - Serialized state
+   */
+  setState(state) {
+    this.seed = state.seed >>> 0;
+    this.state = state.state >>> 0;
+  }
+
+  /**
+   * Convert a number or string seed into a 32-bit integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit integer
+   */
+  static hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = Random;
@@ -0,0 +1,85 @@
+/**
+ * Random number service for Civilization Revolution Remake
+ * Owns every random stream of a game, all derived from one game seed, so a
+ * game can be replayed bit-for-bit from its seed and saved stream states
+ *
+ * Streams:
+ *   gameplay - Anything that affects the game state (combat, map, city names, ...)
+ *   cosmetic - Visual-only randomness (rendering); drawing from it never changes
+ *              the gameplay sequence
+ */
+
+const Random = require('./Random');
+
+const STREAMS = ['gameplay', 'cosmetic'];
+
+class RandomService {
+  /**
+   * @param {number|string} seed - Game seed
+   */
+  constructor(seed = Date.now()) {
+    this.streams = {};
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reseed every stream from a new game seed
+   * @param {number|string} seed - Game seed
+   */
+  setSeed(seed) {
+    this.seed = Random.hashSeed(seed);
+
+    for (const name of STREAMS) {
+      this.streams[name] = new Random(`${this.seed}:${name}`);
+    }
+  }
+
+  /**
+   * Get a named stream
+   * @param {string} name - Stream name
+   * @returns {Random} The stream's generator
+   */
+  getStream(name) {
+    const stream = this.streams[name];
+    if (!stream) {
+      throw new Error(`Unknown random stream ${name}`);
+    }
+    return stream;
+  }
+
+  get gameplay() {
+    return this.streams.gameplay;
+  }
+
+  get cosmetic() {
+    return this.streams.cosmetic;
+  }
+
+  /**
+   * Get the state of every stream so it can be saved
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    const streams = {};
+    for (const [name, stream] of Object.entries(this.streams)) {
+      streams[name] = stream.getState();
+    }
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Restore a state returned by getState()
+   * @param {Object} state - Serialized state
+   */
+  setState(state) {
+    this.setSeed(state.seed);
+
+    for (const [name, streamState] of Object.entries(state.streams || {})) {
+      if (this.streams[name]) {
+        this.streams[name].setState(streamState);
+      }
+    }
+  }
+}
+
+module.exports = RandomService;
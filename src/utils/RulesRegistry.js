@@ -0,0 +1,286 @@
+/**
+ * Rules Registry for Civilization Revolution Remake
+ * Loads the game rule files from data/ once and provides lookups over them
+ */
+
+const units = require('../data/units.json');
+const technologies = require('../data/technologies.json');
+const civilizations = require('../data/civilizations.json');
+const terrains = require('../data/terrains.json');
+const buildings = require('../data/buildings.json');
+const wonders = require('../data/wonders.json');
+const improvements = require('../data/improvements.json');
+const policies = require('../data/policies.json');
+const promotions = require('../data/promotions.json');
+
+class RulesRegistry {
+  constructor() {
+    this.units = units;
+    this.technologies = technologies;
+    this.civilizations = civilizations;
+    this.terrains = terrains;
+    this.buildings = buildings;
+    this.wonders = wonders;
+    this.improvements = improvements;
+    this.policies = policies;
+    this.promotions = promotions;
+  }
+
+  /**
+   * Get the definition of a unit type
+   * @param {string} unitType - Unit type key (e.g. 'warrior')
+   * @returns {Object|null} Unit definition or null if unknown
+   */
+  getUnitDefinition(unitType) {
+    return this.units[unitType] || null;
+  }
+
+  /**
+   * Check if a unit type is defined
+   * @param {string} unitType - Unit type key
+   * @returns {boolean} Whether the unit type exists
+   */
+  hasUnit(unitType) {
+    return Object.prototype.hasOwnProperty.call(this.units, unitType);
+  }
+
+  /**
+   * Get all defined unit types
+   * @returns {Array} Array of unit type keys
+   */
+  getUnitTypes() {
+    return Object.keys(this.units);
+  }
+
+  /**
+   * Get the build cost of a unit type
+   * @param {string} unitType - Unit type key
+   * @returns {Object|null} Cost object (e.g. { gold, production }) or null if unknown
+   */
+  getUnitCost(unitType) {
+    const definition = this.getUnitDefinition(unitType);
+    return definition ? { ...definition.cost } : null;
+  }
+
+  /**
+   * Get the upkeep a unit type costs each turn
+   * @param {string} unitType - Unit type key
+   * @returns {Object|null} Upkeep object (e.g. { gold }) or null if unknown
+   */
+  getUnitUpkeep(unitType) {
+    const definition = this.getUnitDefinition(unitType);
+    return definition ? { ...definition.upkeep } : null;
+  }
+
+  /**
+   * Get the technology required to build a unit type
+   * @param {string} unitType - Unit type key
+   * @returns {string|null} Technology key, or null if no technology is required
+   */
+  getRequiredTech(unitType) {
+    const definition = this.getUnitDefinition(unitType);
+    return definition ? definition.required_tech || null : null;
+  }
+
+  /**
+   * Check if a player has the technology needed to build a unit type
+   * @param {Object} player - Player component
+   * @param {string} unitType - Unit type key
+   * @returns {boolean} Whether the unit type can be built by the player
+   */
+  isUnitAvailableTo(player, unitType) {
+    if (!this.hasUnit(unitType)) return false;
+
+    const requiredTech = this.getRequiredTech(unitType);
+    return !requiredTech || player.technologies.includes(requiredTech);
+  }
+
+  /**
+   * Get the unit types a unit type can upgrade to
+   * Only targets that are defined in units.json are returned
+   * @param {string} unitType - Unit type key
+   * @returns {Array} Array of unit type keys
+   */
+  getUpgradePaths(unitType) {
+    const definition = this.getUnitDefinition(unitType);
+    if (!definition || !Array.isArray(definition.upgrades_to)) return [];
+
+    return definition.upgrades_to.filter(target => this.hasUnit(target));
+  }
+
+  /**
+   * Check if a unit type belongs to a unit group
+   * Groups are either a unit type key or a class group such as 'mounted_units'
+   * @param {string} unitType - Unit type key
+   * @param {string} group - Unit type key or '<unit_class>_units'
+   * @returns {boolean} Whether the unit type is part of the group
+   */
+  isUnitInGroup(unitType, group) {
+    if (unitType === group) return true;
+
+    const definition = this.getUnitDefinition(unitType);
+    if (!definition || !definition.unit_class) return false;
+
+    return `${definition.unit_class}_units` === group;
+  }
+
+  /**
+   * Get the definition of a technology
+   * @param {string} techName - Technology key (e.g. 'bronze_working')
+   * @returns {Object|null} Technology definition or null if unknown
+   */
+  getTechnologyDefinition(techName) {
+    return this.technologies[techName] || null;
+  }
+
+  /**
+   * Get the definition of a civilization
+   * @param {string} civilization - Civilization key (e.g. 'roman')
+   * @returns {Object|null} Civilization definition or null if unknown
+   */
+  getCivilizationDefinition(civilization) {
+    return this.civilizations[civilization] || null;
+  }
+
+  /**
+   * Resolve a civilization key from a key, name or adjective
+   * Players store their civilization as a display name such as 'Egyptian'
+   * @param {string} civilization - Civilization key, name or adjective
+   * @returns {string|null} Civilization key or null if unknown
+   */
+  resolveCivilizationKey(civilization) {
+    if (!civilization) return null;
+
+    const search = String(civilization).toLowerCase();
+    return Object.keys(this.civilizations).find(key => {
+      const definition = this.civilizations[key];
+      return key === search ||
+        definition.name.toLowerCase() === search ||
+        definition.adjective.toLowerCase() === search;
+    }) || null;
+  }
+
+  /**
+   * Get the definition of a terrain type
+   * @param {string} terrainType - Terrain key (e.g. 'hills')
+   * @returns {Object|null} Terrain definition or null if unknown
+   */
+  getTerrainDefinition(terrainType) {
+    return this.terrains[terrainType] || null;
+  }
+
+  /**
+   * Get the definition of a tile improvement
+   * @param {string} improvementType - Improvement key (e.g. 'farm')
+   * @returns {Object|null} Improvement definition or null if unknown
+   */
+  getImprovementDefinition(improvementType) {
+    return this.improvements[improvementType] || null;
+  }
+
+  /**
+   * Get the definition of a policy
+   * @param {string} policyName - Policy key (e.g. 'tradition')
+   * @returns {Object|null} Policy definition or null if unknown
+   */
+  getPolicyDefinition(policyName) {
+    return this.policies[policyName] || null;
+  }
+
+  /**
+   * Get the definition of a promotion
+   * @param {string} promotionName - Promotion key (e.g. 'veteran')
+   * @returns {Object|null} Promotion definition or null if unknown
+   */
+  getPromotionDefinition(promotionName) {
+    return this.promotions[promotionName] || null;
+  }
+
+  getPromotionTypes() {
+    return Object.keys(this.promotions);
+  }
+
+  /**
+   * Get the definition of a building
+   * @param {string} buildingType - Building key (e.g. 'granary')
+   * @returns {Object|null} Building definition or null if unknown
+   */
+  getBuildingDefinition(buildingType) {
+    return this.buildings[buildingType] || null;
+  }
+
+  /**
+   * Check if a building is defined
+   * @param {string} buildingType - Building key
+   * @returns {boolean} Whether the building exists
+   */
+  hasBuilding(buildingType) {
+    return Object.prototype.hasOwnProperty.call(this.buildings, buildingType);
+  }
+
+  /**
+   * Get all defined buildings
+   * @returns {Array} Array of building keys
+   */
+  getBuildingTypes() {
+    return Object.keys(this.buildings);
+  }
+
+  /**
+   * Get the build cost of a building
+   * @param {string} buildingType - Building key
+   * @returns {Object|null} Cost object (e.g. { production }) or null if unknown
+   */
+  getBuildingCost(buildingType) {
+    const definition = this.getBuildingDefinition(buildingType);
+    return definition ? { ...definition.cost } : null;
+  }
+
+  /**
+   * Get the per-turn yields a building adds to its city
+   * @param {string} buildingType - Building key
+   * @returns {Object} Yields by resource (empty if unknown)
+   */
+  getBuildingYields(buildingType) {
+    const definition = this.getBuildingDefinition(buildingType);
+    return definition ? { ...definition.yields } : {};
+  }
+
+  /**
+   * Get the definition of a world wonder
+   * @param {string} wonderType - Wonder key (e.g. 'pyramids')
+   * @returns {Object|null} Wonder definition or null if unknown
+   */
+  getWonderDefinition(wonderType) {
+    return this.wonders[wonderType] || null;
+  }
+
+  /**
+   * Check if a world wonder is defined
+   * @param {string} wonderType - Wonder key
+   * @returns {boolean} Whether the wonder exists
+   */
+  hasWonder(wonderType) {
+    return Object.prototype.hasOwnProperty.call(this.wonders, wonderType);
+  }
+
+  /**
+   * Get all defined world wonders
+   * @returns {Array} Array of wonder keys
+   */
+  getWonderTypes() {
+    return Object.keys(this.wonders);
+  }
+
+  /**
+   * Get the build cost of a world wonder
+   * @param {string} wonderType - Wonder key
+   * @returns {Object|null} Cost object (e.g. { production }) or null if unknown
+   */
+  getWonderCost(wonderType) {
+    const definition = this.getWonderDefinition(wonderType);
+    return definition ? { ...definition.cost } : null;
+  }
+}
+
+module.exports = new RulesRegistry();
@@ -0,0 +1,502 @@
+/**
+ * Rules Validator for Civilization Revolution Remake
+ * Checks the cross-references between the data/*.json rule files
+ */
+
+const ERAS = ['ancient', 'classical', 'medieval'];
+const YIELD_TYPES = ['food', 'production', 'gold', 'science', 'culture'];
+const UNIT_STATS = ['attack', 'defense', 'movement', 'range'];
+const UNIT_CLASSES = ['melee', 'ranged', 'recon', 'civilian', 'mounted', 'siege', 'naval'];
+const UNIT_GROUPS = UNIT_CLASSES.map(unitClass => `${unitClass}_units`);
+
+const TECHNOLOGY_EFFECT_TYPES = [
+  'unlock_unit',
+  'modify_unit',
+  'improve_terrain',
+  'increase_resource',
+  'increase_movement',
+  'increase_city_range',
+  'unlock_building',
+  'increase_diplomacy',
+  'improve_road_connection',
+  'improve_worker_speed',
+  'increase_unit_experience',
+  'increase_city_growth',
+  'reduce_unit_maintenance',
+  'increase_city_health',
+  'improve_trade_routes',
+  'unlock_improvement'
+];
+
+// Empire effects only wonders have; wonders may also use technology effects
+const WONDER_EFFECT_TYPES = [
+  'grant_known_technologies'
+];
+
+const POLICY_EFFECT_TYPES = [
+  'increase_resource'
+];
+
+const PROMOTION_EFFECT_TYPES = [
+  'combat_bonus',
+  'terrain_bonus',
+  'class_bonus',
+  'extra_movement'
+];
+const COMBAT_ROLES = ['attack', 'defense', 'both'];
+
+const CIVILIZATION_EFFECT_TYPES = [
+  'wonder_production_bonus',
+  'road_bonus',
+  'city_cluster_bonus',
+  'free_technology_and_science_bonus',
+  'mounted_unit_bonus',
+  'naval_unit_bonus',
+  'culture_specialist_bonus'
+];
+
+// Civilization effects, and parts of effect values, the game has nothing to
+// apply to yet: there are no roads or great people. They are accepted but
+// reported as warnings so they do not silently do nothing
+const UNSUPPORTED_CIVILIZATION_EFFECTS = ['road_bonus'];
+const UNSUPPORTED_CIVILIZATION_EFFECT_VALUES = {
+  culture_specialist_bonus: ['great_people_bonus']
+};
+
+const CIVILIZATION_BONUS_TYPES = [
+  'resource_bonus',
+  'unit_bonus',
+  'culture_bonus',
+  'science_bonus',
+  'movement_bonus',
+  'naval_combat_bonus'
+];
+
+class RulesValidator {
+  constructor(rules) {
+    this.rules = rules;
+    this.errors = [];
+    this.warnings = []; // Rules that are valid but have no effect in the game yet
+  }
+
+  /**
+   * Validate all rule files
+   * @returns {Array} List of readable error messages (empty if the rules are consistent)
+   */
+  validate() {
+    this.errors = [];
+    this.warnings = [];
+
+    this.validateUnits();
+    this.validateBuildings();
+    this.validateWonders();
+    this.validateImprovements();
+    this.validatePolicies();
+    this.validatePromotions();
+    this.validateTechnologies();
+    this.validateCivilizations();
+
+    return this.errors;
+  }
+
+  /**
+   * Validate unit classes, upgrade paths and required technologies
+   */
+  validateUnits() {
+    for (const [unitType, unit] of Object.entries(this.rules.units)) {
+      if (!UNIT_CLASSES.includes(unit.unit_class)) {
+        this.addError(`units.json: ${unitType}.unit_class "${unit.unit_class}" is not one of ${UNIT_CLASSES.join(', ')}`);
+      }
+
+      const upgrades = unit.upgrades_to || [];
+      upgrades.forEach((target, index) => {
+        this.checkUnit(`units.json: ${unitType}.upgrades_to[${index}]`, target);
+        if (target === unitType) {
+          this.addError(`units.json: ${unitType}.upgrades_to[${index}] upgrades to itself`);
+        }
+      });
+
+      if (unit.required_tech !== null && unit.required_tech !== undefined) {
+        this.checkTechnology(`units.json: ${unitType}.required_tech`, unit.required_tech);
+      }
+    }
+  }
+
+  /**
+   * Validate building yields, required technologies and required buildings
+   */
+  validateBuildings() {
+    for (const [buildingType, building] of Object.entries(this.rules.buildings)) {
+      const location = `buildings.json: ${buildingType}`;
+
+      for (const yieldType of Object.keys(building.yields || {})) {
+        this.checkYieldType(`${location}.yields`, yieldType);
+      }
+
+      if (building.required_tech !== null && building.required_tech !== undefined) {
+        this.checkTechnology(`${location}.required_tech`, building.required_tech);
+      }
+
+      (building.required_buildings || []).forEach((required, index) => {
+        this.checkBuilding(`${location}.required_buildings[${index}]`, required);
+        if (required === buildingType) {
+          this.addError(`${location}.required_buildings[${index}] requires itself`);
+        }
+      });
+
+      if (building.food_kept !== undefined && !(building.food_kept >= 0 && building.food_kept <= 1)) {
+        this.addError(`${location}.food_kept must be between 0 and 1`);
+      }
+    }
+  }
+
+  /**
+   * Validate wonder yields, required technologies and empire effects
+   */
+  validateWonders() {
+    for (const [wonderType, wonder] of Object.entries(this.rules.wonders)) {
+      const location = `wonders.json: ${wonderType}`;
+
+      if (this.rules.getBuildingDefinition(wonderType)) {
+        this.addError(`${location} is also defined in buildings.json`);
+      }
+
+      for (const yieldType of Object.keys(wonder.yields || {})) {
+        this.checkYieldType(`${location}.yields`, yieldType);
+      }
+
+      if (wonder.required_tech !== null && wonder.required_tech !== undefined) {
+        this.checkTechnology(`${location}.required_tech`, wonder.required_tech);
+      }
+
+      (wonder.empire_effects || []).forEach((effect, index) => {
+        if (!WONDER_EFFECT_TYPES.includes(effect.type)) {
+          this.validateTechnologyEffect(`${location}.empire_effects[${index}]`, effect, null);
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate improvement yields and terrains
+   */
+  validateImprovements() {
+    for (const [improvementType, improvement] of Object.entries(this.rules.improvements)) {
+      const location = `improvements.json: ${improvementType}`;
+
+      for (const yieldType of Object.keys(improvement.yields || {})) {
+        this.checkYieldType(`${location}.yields`, yieldType);
+      }
+
+      (improvement.terrains || []).forEach((terrain, index) => {
+        this.checkTerrain(`${location}.terrains[${index}]`, terrain);
+      });
+    }
+  }
+
+  /**
+   * Validate policy effects
+   */
+  validatePolicies() {
+    for (const [policyName, policy] of Object.entries(this.rules.policies)) {
+      (policy.effects || []).forEach((effect, index) => {
+        const location = `policies.json: ${policyName}.effects[${index}]`;
+        if (!POLICY_EFFECT_TYPES.includes(effect.type)) {
+          this.addError(`${location}.type "${effect.type}" is not a known policy effect`);
+        } else {
+          this.checkYieldType(`${location}.resource`, effect.resource);
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate promotion unit classes, prerequisites and effects
+   */
+  validatePromotions() {
+    for (const [promotionName, promotion] of Object.entries(this.rules.promotions)) {
+      const location = `promotions.json: ${promotionName}`;
+
+      (promotion.unit_classes || []).forEach((unitClass, index) => {
+        this.checkUnitClass(`${location}.unit_classes[${index}]`, unitClass);
+      });
+
+      (promotion.required_promotions || []).forEach((required, index) => {
+        if (!this.rules.getPromotionDefinition(required)) {
+          this.addError(`${location}.required_promotions[${index}] references unknown promotion "${required}"`);
+        } else if (required === promotionName) {
+          this.addError(`${location}.required_promotions[${index}] requires itself`);
+        }
+      });
+
+      (promotion.effects || []).forEach((effect, index) => {
+        const effectLocation = `${location}.effects[${index}]`;
+        if (!PROMOTION_EFFECT_TYPES.includes(effect.type)) {
+          this.addError(`${effectLocation}.type "${effect.type}" is not a known promotion effect`);
+          return;
+        }
+
+        if (effect.type !== 'extra_movement' && !COMBAT_ROLES.includes(effect.role)) {
+          this.addError(`${effectLocation}.role "${effect.role}" is not one of ${COMBAT_ROLES.join(', ')}`);
+        }
+        (effect.terrains || []).forEach((terrain, terrainIndex) => {
+          this.checkTerrain(`${effectLocation}.terrains[${terrainIndex}]`, terrain);
+        });
+        (effect.unit_classes || []).forEach((unitClass, classIndex) => {
+          this.checkUnitClass(`${effectLocation}.unit_classes[${classIndex}]`, unitClass);
+        });
+      });
+    }
+  }
+
+  /**
+   * Validate technology eras, prerequisites and effects
+   */
+  validateTechnologies() {
+    for (const [techName, tech] of Object.entries(this.rules.technologies)) {
+      const location = `technologies.json: ${techName}`;
+
+      if (!ERAS.includes(tech.era)) {
+        this.addError(`${location}.era "${tech.era}" is not one of ${ERAS.join(', ')}`);
+      }
+
+      (tech.prerequisites || []).forEach((prerequisite, index) => {
+        this.checkTechnology(`${location}.prerequisites[${index}]`, prerequisite);
+      });
+
+      (tech.effects || []).forEach((effect, index) => {
+        this.validateTechnologyEffect(`${location}.effects[${index}]`, effect, techName);
+      });
+    }
+
+    this.checkPrerequisiteCycles();
+  }
+
+  /**
+   * Validate a single technology effect
+   * @param {string} location - Readable location of the effect
+   * @param {Object} effect - Effect definition
+   * @param {string} techName - Technology the effect belongs to
+   */
+  validateTechnologyEffect(location, effect, techName) {
+    if (!TECHNOLOGY_EFFECT_TYPES.includes(effect.type)) {
+      this.addError(`${location}.type "${effect.type}" is not a known technology effect`);
+      return;
+    }
+
+    switch(effect.type) {
+      case 'unlock_unit': {
+        this.checkUnit(`${location}.unit`, effect.unit);
+        const unit = this.rules.getUnitDefinition(effect.unit);
+        if (unit && (unit.required_tech || null) !== techName) {
+          const required = unit.required_tech ? `"${unit.required_tech}"` : 'no technology';
+          this.addError(`${location} unlocks "${effect.unit}" but units.json requires ${required}`);
+        }
+        break;
+      }
+      case 'modify_unit':
+        this.checkUnit(`${location}.unit`, effect.unit);
+        if (!UNIT_STATS.includes(effect.stat)) {
+          this.addError(`${location}.stat "${effect.stat}" is not one of ${UNIT_STATS.join(', ')}`);
+        }
+        break;
+      case 'increase_movement':
+        if (!UNIT_GROUPS.includes(effect.unit)) {
+          this.checkUnit(`${location}.unit`, effect.unit);
+        }
+        break;
+      case 'improve_terrain':
+        this.checkTerrain(`${location}.terrain`, effect.terrain);
+        for (const yieldType of Object.keys(effect.yield || {})) {
+          this.checkYieldType(`${location}.yield`, yieldType);
+        }
+        break;
+      case 'increase_resource':
+        this.checkYieldType(`${location}.resource`, effect.resource);
+        break;
+      case 'unlock_improvement':
+        this.checkImprovement(`${location}.improvement`, effect.improvement);
+        break;
+      case 'unlock_building': {
+        this.checkBuilding(`${location}.building`, effect.building);
+        const building = this.rules.getBuildingDefinition(effect.building);
+        if (building && building.required_tech !== techName) {
+          this.addError(`${location} unlocks "${effect.building}" but buildings.json requires "${building.required_tech}"`);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Report technologies whose prerequisites eventually require themselves
+   */
+  checkPrerequisiteCycles() {
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (techName, chain) => {
+      if (visited.has(techName)) return;
+      if (visiting.has(techName)) {
+        this.addError(`technologies.json: prerequisite cycle ${[...chain, techName].join(' -> ')}`);
+        return;
+      }
+
+      const tech = this.rules.technologies[techName];
+      if (!tech) return;
+
+      visiting.add(techName);
+      for (const prerequisite of tech.prerequisites || []) {
+        visit(prerequisite, [...chain, techName]);
+      }
+      visiting.delete(techName);
+      visited.add(techName);
+    };
+
+    for (const techName of Object.keys(this.rules.technologies)) {
+      visit(techName, []);
+    }
+  }
+
+  /**
+   * Validate civilization references and ability effects
+   */
+  validateCivilizations() {
+    for (const [civName, civ] of Object.entries(this.rules.civilizations)) {
+      const location = `civilizations.json: ${civName}`;
+
+      this.checkUnit(`${location}.unique_unit`, civ.unique_unit);
+
+      if (!ERAS.includes(civ.starting_era)) {
+        this.addError(`${location}.starting_era "${civ.starting_era}" is not one of ${ERAS.join(', ')}`);
+      }
+
+      (civ.starting_technologies || []).forEach((techName, index) => {
+        this.checkTechnology(`${location}.starting_technologies[${index}]`, techName);
+      });
+
+      (civ.preferred_terrain || []).forEach((terrain, index) => {
+        this.checkTerrain(`${location}.preferred_terrain[${index}]`, terrain);
+      });
+
+      (civ.disliked_terrain || []).forEach((terrain, index) => {
+        this.checkTerrain(`${location}.disliked_terrain[${index}]`, terrain);
+      });
+
+      const effect = civ.unique_ability && civ.unique_ability.effect;
+      if (!effect) {
+        this.addError(`${location}.unique_ability has no effect`);
+      } else if (!CIVILIZATION_EFFECT_TYPES.includes(effect.type)) {
+        this.addError(`${location}.unique_ability.effect.type "${effect.type}" is not a known civilization effect`);
+      } else if (UNSUPPORTED_CIVILIZATION_EFFECTS.includes(effect.type)) {
+        this.addWarning(`${location}.unique_ability.effect.type "${effect.type}" is not supported yet and has no effect`);
+      } else {
+        for (const key of UNSUPPORTED_CIVILIZATION_EFFECT_VALUES[effect.type] || []) {
+          if (effect.value && effect.value[key] !== undefined) {
+            this.addWarning(`${location}.unique_ability.effect.value.${key} is not supported yet and has no effect`);
+          }
+        }
+      }
+
+      (civ.bonuses || []).forEach((bonus, index) => {
+        this.validateCivilizationBonus(`${location}.bonuses[${index}]`, bonus);
+      });
+    }
+  }
+
+  /**
+   * Validate a single civilization bonus
+   * @param {string} location - Readable location of the bonus
+   * @param {Object} bonus - Bonus definition
+   */
+  validateCivilizationBonus(location, bonus) {
+    if (!CIVILIZATION_BONUS_TYPES.includes(bonus.type)) {
+      this.addError(`${location}.type "${bonus.type}" is not a known civilization bonus`);
+      return;
+    }
+
+    switch(bonus.type) {
+      case 'resource_bonus':
+        this.checkYieldType(`${location}.resource`, bonus.resource);
+        break;
+      case 'unit_bonus':
+        this.checkUnit(`${location}.unit`, bonus.unit);
+        if (!UNIT_STATS.includes(bonus.stat)) {
+          this.addError(`${location}.stat "${bonus.stat}" is not one of ${UNIT_STATS.join(', ')}`);
+        }
+        break;
+    }
+  }
+
+  checkUnit(location, unitType) {
+    if (!this.rules.getUnitDefinition(unitType)) {
+      this.addError(`${location} references unknown unit "${unitType}"`);
+    }
+  }
+
+  checkBuilding(location, buildingType) {
+    if (!this.rules.getBuildingDefinition(buildingType)) {
+      this.addError(`${location} references unknown building "${buildingType}"`);
+    }
+  }
+
+  checkImprovement(location, improvementType) {
+    if (!this.rules.getImprovementDefinition(improvementType)) {
+      this.addError(`${location} references unknown improvement "${improvementType}"`);
+    }
+  }
+
+  checkTechnology(location, techName) {
+    if (!this.rules.getTechnologyDefinition(techName)) {
+      this.addError(`${location} references unknown technology "${techName}"`);
+    }
+  }
+
+  checkTerrain(location, terrainType) {
+    if (!this.rules.getTerrainDefinition(terrainType)) {
+      this.addError(`${location} references unknown terrain "${terrainType}"`);
+    }
+  }
+
+  checkUnitClass(location, unitClass) {
+    if (!UNIT_CLASSES.includes(unitClass)) {
+      this.addError(`${location} "${unitClass}" is not one of ${UNIT_CLASSES.join(', ')}`);
+    }
+  }
+
+  checkYieldType(location, yieldType) {
+    if (!YIELD_TYPES.includes(yieldType)) {
+      this.addError(`${location} references unknown resource "${yieldType}"`);
+    }
+  }
+
+  addError(message) {
+    this.errors.push(message);
+  }
+
+  addWarning(message) {
+    this.warnings.push(message);
+  }
+
+  /**
+   * Format a list of errors for logging
+   * @param {Array} errors - Error messages returned by validate()
+   * @returns {string} Readable multi-line report
+   */
+  static formatErrors(errors) {
+    const lines = errors.map(error => `  - ${error}`);
+    return `Rule files contain ${errors.length} error(s):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Format a list of warnings for logging
+   * @param {Array} warnings - The validator's warnings after validate()
+   * @returns {string} Readable multi-line report
+   */
+  static formatWarnings(warnings) {
+    const lines = warnings.map(warning => `  - ${warning}`);
+    return `Rule files contain ${warnings.length} unsupported rule(s):\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = RulesValidator;
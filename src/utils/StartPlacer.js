@@ -0,0 +1,244 @@
+/**
+ * Start position placement for Civilization Revolution Remake
+ * Chooses a fair starting tile for every player by scoring candidate tiles on
+ * the yields around them, their distance to other players and each
+ * civilization's preferred_terrain/disliked_terrain from civilizations.json
+ */
+
+const Rules = require('./RulesRegistry');
+
+const WATER_TYPES = ['coast', 'ocean', 'lake'];
+
+const DEFAULT_OPTIONS = {
+  radius: 2, // Tiles around a candidate that count towards its score
+  minDistance: null, // Minimum distance between starts (derived from the land area when null)
+  preferredTerrainWeight: 2, // Score per preferred terrain tile in the radius
+  dislikedTerrainWeight: 2, // Penalty per disliked terrain tile in the radius
+  distanceWeight: 1, // Score per tile of distance to the nearest other start
+  coastalBonus: 2, // Score for starting next to water
+  yieldWeights: { food: 1.5, production: 1, gold: 0.5, science: 0.5, culture: 0.5 }
+};
+
+class StartPlacer {
+  constructor(gameEngine) {
+    this.game = gameEngine;
+    this.settings = null;
+  }
+
+  /**
+   * Choose a start position for every player
+   * Players are placed in order; each takes the best remaining candidate that
+   * keeps the minimum distance, which is relaxed only if no candidate fits
+   * @param {Array} players - Players to place
+   * @param {Object} options - Placement options (see DEFAULT_OPTIONS)
+   * @returns {Array} Start positions as { playerId, x, y, score }
+   */
+  placePlayers(players, options = {}) {
+    this.settings = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      yieldWeights: { ...DEFAULT_OPTIONS.yieldWeights, ...options.yieldWeights }
+    };
+
+    const candidates = this.getCandidates();
+    if (candidates.length === 0) {
+      throw new Error('No land available for start positions');
+    }
+
+    // Yield scores do not depend on the civilization, so compute them once
+    for (const candidate of candidates) {
+      candidate.yieldScore = this.getYieldScore(candidate.x, candidate.y);
+    }
+
+    let minDistance = this.settings.minDistance !== null
+      ? this.settings.minDistance
+      : this.getDefaultMinDistance(candidates.length, players.length);
+
+    const starts = [];
+    for (const player of players) {
+      const civ = this.getCivilization(player);
+      let start = null;
+
+      while (!start) {
+        start = this.chooseStart(candidates, starts, civ, minDistance);
+        if (!start) {
+          if (minDistance <= 1) {
+            throw new Error(`No start position left for player ${player.id}`);
+          }
+          minDistance--;
+        }
+      }
+
+      starts.push({ playerId: player.id, x: start.x, y: start.y, score: start.score });
+    }
+
+    return starts;
+  }
+
+  /**
+   * Pick the highest scoring candidate that respects the minimum distance
+   * @returns {Object|null} { x, y, score } or null if no candidate fits
+   */
+  chooseStart(candidates, starts, civ, minDistance) {
+    let best = null;
+
+    for (const candidate of candidates) {
+      const distance = this.getDistanceToStarts(candidate, starts);
+      if (distance < minDistance) continue;
+
+      const score = candidate.yieldScore +
+        this.getTerrainPreferenceScore(candidate.x, candidate.y, civ) +
+        (starts.length > 0 ? Math.min(distance, minDistance * 2) * this.settings.distanceWeight : 0);
+
+      // Ties go to the first candidate in map order, so placement is reproducible
+      if (!best || score > best.score) {
+        best = { x: candidate.x, y: candidate.y, score };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Get the tiles a player may start on
+   * Only buildable land on the landmasses chosen by the map script qualifies
+   * @returns {Array} Array of {x, y}
+   */
+  getCandidates() {
+    const map = this.game.gameState.map;
+    const landmasses = this.game.startLandmasses && this.game.startLandmasses.length > 0
+      ? this.game.startLandmasses
+      : null;
+
+    const tiles = landmasses
+      ? landmasses.reduce((all, landmass) => all.concat(landmass.tiles), [])
+      : this.getAllTiles(map);
+
+    return tiles
+      .filter(({x, y}) => {
+        const terrain = Rules.getTerrainDefinition(map[x][y].type);
+        return terrain && terrain.passable && terrain.buildable;
+      })
+      .sort((a, b) => a.x - b.x || a.y - b.y)
+      .map(({x, y}) => ({ x, y }));
+  }
+
+  getAllTiles(map) {
+    const tiles = [];
+    for (let x = 0; x < map.length; x++) {
+      for (let y = 0; y < map[x].length; y++) {
+        tiles.push({x, y});
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Default minimum distance: spread players evenly over the available land
+   */
+  getDefaultMinDistance(landTiles, playerCount) {
+    return Math.max(3, Math.floor(Math.sqrt(landTiles / Math.max(1, playerCount))));
+  }
+
+  /**
+   * Score the yields a city on a tile could work
+   * @returns {number} Weighted sum of terrain and resource yields in the radius
+   */
+  getYieldScore(x, y) {
+    const weights = this.settings.yieldWeights;
+    let score = 0;
+    let nextToWater = false;
+
+    for (const tile of this.getTilesInRadius(x, y, this.settings.radius)) {
+      const terrain = Rules.getTerrainDefinition(tile.type);
+      if (!terrain) continue;
+
+      for (const [resource, amount] of Object.entries(terrain.base_yield)) {
+        score += amount * (weights[resource] || 0);
+      }
+
+      if (tile.resource) {
+        score += weights[tile.resource.type] || 0;
+      }
+
+      if (this.game.grid.getDistance(tile.x, tile.y, x, y) <= 1 && WATER_TYPES.includes(tile.type)) {
+        nextToWater = true;
+      }
+    }
+
+    return score + (nextToWater ? this.settings.coastalBonus : 0);
+  }
+
+  /**
+   * Score a tile's surroundings against a civilization's terrain preferences
+   */
+  getTerrainPreferenceScore(x, y, civ) {
+    if (!civ) return 0;
+
+    const preferred = civ.preferred_terrain || [];
+    const disliked = civ.disliked_terrain || [];
+    let score = 0;
+
+    for (const tile of this.getTilesInRadius(x, y, this.settings.radius)) {
+      if (preferred.includes(tile.type)) {
+        score += this.settings.preferredTerrainWeight;
+      } else if (disliked.includes(tile.type)) {
+        score -= this.settings.dislikedTerrainWeight;
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Get the tiles within a radius, nearest first, using the map's grid topology
+   * @returns {Array} Tile components
+   */
+  getTilesInRadius(x, y, radius) {
+    const map = this.game.gameState.map;
+    return this.game.grid.getTilesInRange(x, y, radius).map(tile => map[tile.x][tile.y]);
+  }
+
+  getDistanceToStarts(candidate, starts) {
+    let nearest = Infinity;
+    for (const start of starts) {
+      nearest = Math.min(nearest, this.game.grid.getDistance(candidate.x, candidate.y, start.x, start.y));
+    }
+    return nearest;
+  }
+
+  getCivilization(player) {
+    const civKey = Rules.resolveCivilizationKey(player.civilization);
+    return civKey ? Rules.getCivilizationDefinition(civKey) : null;
+  }
+
+  /**
+   * Get the tiles starting units are spawned on: the start tile first, then
+   * the passable land around it, nearest first
+   * @param {number} x - Start X coordinate
+   * @param {number} y - Start Y coordinate
+   * @param {number} count - Number of tiles needed
+   * @returns {Array} Array of {x, y}; tiles repeat if there is not enough land
+   */
+  getSpawnTiles(x, y, count) {
+    const tiles = [{x, y}];
+
+    for (const tile of this.getTilesInRadius(x, y, 2)) {
+      if (tiles.length >= count) break;
+      if (tile.x === x && tile.y === y) continue;
+
+      const terrain = Rules.getTerrainDefinition(tile.type);
+      if (terrain && terrain.passable && !WATER_TYPES.includes(tile.type)) {
+        tiles.push({x: tile.x, y: tile.y});
+      }
+    }
+
+    while (tiles.length < count) {
+      tiles.push({x, y});
+    }
+
+    return tiles;
+  }
+}
+
+module.exports = StartPlacer;
@@ -0,0 +1,114 @@
+const City = require('../src/components/City');
+const Player = require('../src/components/Player');
+
+describe('City food', () => {
+  let city;
+
+  beforeEach(() => {
+    city = new City(0, 3, 3, 'Memphis');
+  });
+
+  test('needs more food for each size', () => {
+    expect(City.getFoodNeededForGrowth(1)).toBe(15);
+    expect(City.getFoodNeededForGrowth(2)).toBe(21);
+    expect(City.getFoodNeededForGrowth(3)).toBe(29);
+    expect(city.foodNeededForGrowth).toBe(15);
+  });
+
+  test('feeds its citizens before the surplus goes to the food box', () => {
+    city.population = 2;
+    city.food = 10;
+
+    expect(city.getFoodConsumption()).toBe(4);
+    expect(city.getFoodPerTurn()).toBe(6);
+  });
+
+  test('grows a surplus, but not a deficit, by the owner growth modifier', () => {
+    const player = new Player(0, 'Alice', '#FF0000', 'egyptian');
+    player.modifiers.cityGrowth = 0.5;
+    city.food = 6;
+
+    expect(city.getFoodPerTurn(player)).toBe(6);
+
+    city.food = 0;
+    expect(city.getFoodPerTurn(player)).toBe(-2);
+  });
+
+  test('grows when the food box is full', () => {
+    city.addFood(17);
+
+    expect(city.population).toBe(2);
+    expect(city.foodStored).toBe(2);
+    expect(city.foodNeededForGrowth).toBe(21);
+  });
+
+  test('keeps part of the food box with a granary', () => {
+    city.addBuilding('granary');
+
+    city.addFood(15);
+
+    expect(city.population).toBe(2);
+    expect(city.foodStored).toBe(7);
+  });
+
+  test('starves a citizen when the food box runs out', () => {
+    city.population = 3;
+    city.foodNeededForGrowth = City.getFoodNeededForGrowth(3);
+    city.foodStored = 2;
+
+    city.addFood(-5);
+
+    expect(city.population).toBe(2);
+    expect(city.foodStored).toBe(0);
+    expect(city.foodNeededForGrowth).toBe(21);
+  });
+
+  test('never starves below size 1', () => {
+    city.addFood(-5);
+
+    expect(city.population).toBe(1);
+    expect(city.foodStored).toBe(0);
+  });
+
+  test('reports the turns left until it grows', () => {
+    city.food = 5;
+    city.foodStored = 5;
+
+    expect(city.getTurnsToGrow()).toBe(4);
+
+    city.food = 2;
+    expect(city.getTurnsToGrow()).toBeNull();
+  });
+
+  test('needs the gameplay random stream to pick its own name', () => {
+    expect(() => new City(0, 3, 3)).toThrow('gameplay random stream');
+  });
+});
+
+describe('City specialists', () => {
+  let city;
+
+  beforeEach(() => {
+    city = new City(0, 3, 3, 'Memphis');
+  });
+
+  test('yield what the governor scores them by every turn', () => {
+    city.addSpecialist('merchant');
+    city.addSpecialist('scientist');
+
+    city.processTurn();
+
+    expect(City.getSpecialistYields().merchant).toEqual({ gold: 3, production: 1 });
+    expect(city.getTotalYield()).toMatchObject({ gold: 4, production: 1, science: 3, culture: 0 });
+  });
+
+  test('leave the current yields alone when assigned or removed', () => {
+    city.gold = 5;
+
+    city.addSpecialist('merchant');
+    city.removeSpecialist('merchant');
+
+    expect(city.gold).toBe(5);
+    expect(city.getSpecialistCount()).toBe(0);
+  });
+});
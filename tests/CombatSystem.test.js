@@ -0,0 +1,278 @@
+const EventEmitter = require('events');
+const GameEngine = require('../src/game');
+const Tile = require('../src/components/Tile');
+const RandomService = require('../src/utils/RandomService');
+
+/**
+ * A game with two players on an all-grass map, without the renderer or server
+ */
+function createGame() {
+  const game = Object.create(GameEngine.prototype);
+  game.gameState = { players: [], currentTurn: 0, map: null, isRunning: true };
+  game.events = new EventEmitter();
+  game.entities = [];
+  game.entityIdCounter = 0;
+  game.components = {
+    Position: require('../src/components/Position'),
+    Unit: require('../src/components/Unit'),
+    Player: require('../src/components/Player'),
+    City: require('../src/components/City')
+  };
+  game.random = new RandomService('combat');
+  game.Rules = require('../src/utils/RulesRegistry');
+  game.GridTopology = require('../src/utils/GridTopology');
+
+  game.systems = {};
+  const systems = [
+    'ResearchSystem',
+    'CivilizationSystem',
+    'ResourceSystem',
+    'VisibilitySystem',
+    'ProductionSystem',
+    'GovernorSystem',
+    'TerritorySystem',
+    'PromotionSystem',
+    'CombatSystem',
+    'WonderSystem'
+  ];
+  for (const name of systems) {
+    game.systems[name] = require(`../src/systems/${name}`)(game);
+  }
+
+  game.gameState.map = Array.from({ length: 12 }, (_, x) =>
+    Array.from({ length: 12 }, (_, y) => {
+      const tile = new Tile(x, y);
+      tile.setType('grass');
+      return tile;
+    })
+  );
+  game.setupGrid();
+
+  game.addPlayer('Alice', 'egyptian');
+  game.addPlayer('Bob', 'greek');
+  return game;
+}
+
+// Combats simulated to check the preview against
+const TRIALS = 2000;
+
+describe('CombatSystem.previewCombat', () => {
+  let game;
+  let combat;
+  let attacker;
+  let defender;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createGame();
+    combat = game.systems.CombatSystem;
+    attacker = game.createUnit(0, 'swordsman', 5, 5);
+    defender = game.createUnit(1, 'warrior', 6, 5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Fights the same combat TRIALS times with performCombat
+   * @returns {Object} Share of combats the attacker won, and the mean damage dealt
+   */
+  function simulate(attackerHealth, defenderHealth) {
+    let wins = 0;
+    let damage = 0;
+
+    for (let trial = 0; trial < TRIALS; trial++) {
+      Object.assign(attacker.unit, { health: attackerHealth, actionsRemaining: 1, experience: 0 });
+      defender.unit.health = defenderHealth;
+
+      const result = combat.performCombat(attacker, defender);
+      damage += result.defender.damageTaken;
+      if (result.defender.destroyed && !result.attacker.destroyed) {
+        wins++;
+      }
+    }
+
+    return { winChance: wins / TRIALS, damage: damage / TRIALS };
+  }
+
+  test('changes neither the units nor the random stream', () => {
+    const before = JSON.stringify([attacker, defender]);
+    const nextFloat = jest.spyOn(game.random.gameplay, 'nextFloat');
+    const chance = jest.spyOn(game.random.gameplay, 'chance');
+
+    expect(combat.previewCombat(attacker, defender).success).toBe(true);
+
+    expect(JSON.stringify([attacker, defender])).toBe(before);
+    expect(nextFloat).not.toHaveBeenCalled();
+    expect(chance).not.toHaveBeenCalled();
+  });
+
+  test('refuses the same combats performCombat refuses', () => {
+    const friend = game.createUnit(0, 'warrior', 4, 5);
+
+    expect(combat.previewCombat(attacker, friend)).toEqual({ success: false, error: 'Cannot attack friendly unit' });
+    expect(combat.previewCombat(attacker, null).success).toBe(false);
+  });
+
+  test('matches the damage and win chance of performCombat', () => {
+    defender.unit.health = 10;
+    const preview = combat.previewCombat(attacker, defender);
+    const outcome = simulate(100, 10);
+
+    expect(preview.defender.damage.destroyChance).toBeGreaterThan(0);
+    expect(preview.defender.damage.destroyChance).toBeLessThan(1);
+    expect(Math.abs(outcome.winChance - preview.winChance)).toBeLessThan(0.05);
+    expect(Math.abs(outcome.damage - preview.defender.damage.expected)).toBeLessThan(0.1);
+  });
+
+  test('counts the counterattack against a wounded attacker', () => {
+    attacker.unit.health = 1;
+    defender.unit.health = 10;
+    const preview = combat.previewCombat(attacker, defender);
+    const outcome = simulate(1, 10);
+
+    expect(preview.attacker.damage.destroyChance).toBeCloseTo(0.3);
+    expect(preview.winChance).toBeCloseTo(preview.defender.damage.destroyChance * 0.7);
+    expect(Math.abs(outcome.winChance - preview.winChance)).toBeLessThan(0.05);
+  });
+
+  test('itemizes the terrain, fortification and city defense', () => {
+    game.gameState.map[6][5].setType('hills');
+    defender.unit.fortified = true;
+    game.createCity(1, 6, 5, 'Athens');
+
+    const { defense } = combat.previewCombat(attacker, defender);
+
+    expect(defense.modifiers).toEqual(expect.arrayContaining([
+      { type: 'terrain', source: 'hills', percent: 0.25 },
+      { type: 'fortified', percent: 0.25 },
+      { type: 'city', source: 'Athens', flat: 5 }
+    ]));
+    expect(defense.total).toBe(combat.calculateDefenseValue(defender, attacker));
+  });
+});
+
+describe('ranged combat and city attacks', () => {
+  let game;
+  let combat;
+  let archer;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createGame();
+    combat = game.systems.CombatSystem;
+    archer = game.createUnit(0, 'archer', 3, 5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fires from range without being struck back, once a turn', () => {
+    const warrior = game.createUnit(1, 'warrior', 5, 5);
+
+    const result = game.performCombat(archer.id, warrior.id);
+
+    expect(result).toMatchObject({ success: true, ranged: true, attacker: { damageTaken: 0, destroyed: false } });
+    expect(archer.unit.health).toBe(100);
+    expect(warrior.unit.health).toBe(100 - result.defender.damageTaken);
+    expect(game.performCombat(archer.id, warrior.id)).toEqual({
+      success: false,
+      error: 'archer has no action left this turn'
+    });
+  });
+
+  test('removes the units it destroys from the game and their owner', () => {
+    const warrior = game.createUnit(1, 'warrior', 5, 5);
+    warrior.unit.health = 1;
+
+    expect(game.performCombat(archer.id, warrior.id).defender.destroyed).toBe(true);
+    expect(game.getEntityById(warrior.id)).toBeUndefined();
+    expect(game.gameState.players[1].units).not.toContain(warrior.id);
+  });
+
+  test('only lets the player whose turn it is attack, with their own units', () => {
+    const warrior = game.createUnit(1, 'warrior', 4, 5);
+
+    expect(game.performCombat(warrior.id, archer.id)).toEqual({
+      success: false,
+      error: 'Units can only be given orders by their owner on their turn'
+    });
+
+    game.handlePlayerAction({ type: 'attack', attackerId: archer.id, defenderId: warrior.id }, 1);
+    expect(archer.unit.actionsRemaining).toBe(1);
+    expect(warrior.unit.health).toBe(100);
+
+    game.handlePlayerAction({ type: 'attack', attackerId: archer.id, defenderId: warrior.id }, 0);
+    expect(archer.unit.actionsRemaining).toBe(0);
+  });
+
+  test('needs the target in range and in line of sight', () => {
+    const far = game.createUnit(1, 'warrior', 6, 5);
+    const hidden = game.createUnit(1, 'warrior', 5, 5);
+    game.gameState.map[4][5].setType('mountain');
+
+    expect(game.performCombat(archer.id, far.id)).toEqual({ success: false, error: 'Target is out of range' });
+    expect(game.performCombat(archer.id, hidden.id)).toEqual({ success: false, error: 'Target is not in line of sight' });
+    expect(archer.unit.actionsRemaining).toBe(1);
+  });
+
+  test('melee attacks use up the action too', () => {
+    const swordsman = game.createUnit(0, 'swordsman', 7, 7);
+    const warrior = game.createUnit(1, 'warrior', 8, 7);
+
+    expect(game.performCombat(swordsman.id, warrior.id).success).toBe(true);
+    expect(combat.performCombat(swordsman, warrior)).toEqual({
+      success: false,
+      error: 'swordsman has no action left this turn'
+    });
+  });
+
+  test('bombards a city down to 1 health but never takes it', () => {
+    const athens = game.createCity(1, 5, 5, 'Athens');
+    athens.city.health = 2;
+
+    const result = game.performCombat(archer.id, athens.id);
+
+    expect(result).toMatchObject({ success: true, ranged: true, city: { id: athens.id, fallen: false } });
+    expect(athens.city.health).toBe(1);
+    expect(athens.city.owner).toBe(1);
+  });
+
+  test('captures an undefended city a melee attack empties', () => {
+    const athens = game.createCity(1, 5, 5, 'Athens');
+    const swordsman = game.createUnit(0, 'swordsman', 5, 4);
+    athens.city.health = 1;
+    athens.city.productionQueue = ['warrior'];
+    game.gameState.wonders = { pyramids: { playerId: 1, cityId: athens.id, cityName: 'Athens' } };
+    const captured = jest.fn();
+    game.events.on('city_captured', captured);
+
+    const result = game.performCombat(swordsman.id, athens.id);
+
+    expect(result.city.fallen).toBe(true);
+    expect(athens.city.owner).toBe(0);
+    expect(athens.city.health).toBe(Math.ceil(athens.city.maxHealth / 2));
+    expect(athens.city.productionQueue).toEqual([]);
+    expect(game.gameState.players[0].cities).toContain(athens.id);
+    expect(game.gameState.players[1].cities).not.toContain(athens.id);
+    expect(swordsman.position).toMatchObject({ x: 5, y: 5 });
+    expect(game.systems.WonderSystem.getPlayerWonders(0)).toEqual(['pyramids']);
+    expect(game.systems.WonderSystem.getPlayerWonders(1)).toEqual([]);
+    expect(captured).toHaveBeenCalledWith({ playerId: 0, previousOwner: 1, cityId: athens.id, cityName: 'Athens' });
+  });
+
+  test('leaves a city in its owner\'s hands while units still hold it', () => {
+    const athens = game.createCity(1, 5, 5, 'Athens');
+    game.createUnit(1, 'warrior', 5, 5);
+    const swordsman = game.createUnit(0, 'swordsman', 5, 4);
+    athens.city.health = 1;
+
+    expect(game.performCombat(swordsman.id, athens.id).city.fallen).toBe(true);
+    expect(athens.city.owner).toBe(1);
+    expect(swordsman.position).toMatchObject({ x: 5, y: 4 });
+  });
+});
@@ -0,0 +1,162 @@
+const EventEmitter = require('events');
+const GameEngine = require('../src/game');
+const Tile = require('../src/components/Tile');
+const RandomService = require('../src/utils/RandomService');
+
+/**
+ * A game with two players on an all-grass map, without the renderer or server
+ */
+function createGame() {
+  const game = Object.create(GameEngine.prototype);
+  game.gameState = { players: [], currentTurn: 0, map: null, isRunning: true };
+  game.events = new EventEmitter();
+  game.entities = [];
+  game.entityIdCounter = 0;
+  game.components = {
+    Position: require('../src/components/Position'),
+    Unit: require('../src/components/Unit'),
+    Player: require('../src/components/Player'),
+    City: require('../src/components/City')
+  };
+  game.random = new RandomService('production');
+  game.Rules = require('../src/utils/RulesRegistry');
+  game.GridTopology = require('../src/utils/GridTopology');
+
+  game.systems = {};
+  const systems = [
+    'ResearchSystem',
+    'CivilizationSystem',
+    'ResourceSystem',
+    'VisibilitySystem',
+    'ProductionSystem',
+    'GovernorSystem',
+    'TerritorySystem'
+  ];
+  for (const name of systems) {
+    game.systems[name] = require(`../src/systems/${name}`)(game);
+  }
+
+  game.gameState.map = Array.from({ length: 12 }, (_, x) =>
+    Array.from({ length: 12 }, (_, y) => {
+      const tile = new Tile(x, y);
+      tile.setType('grass');
+      return tile;
+    })
+  );
+  game.setupGrid();
+
+  game.addPlayer('Alice', 'egyptian');
+  game.addPlayer('Bob', 'greek');
+  return game;
+}
+
+describe('ProductionSystem', () => {
+  let game;
+  let production;
+  let cityEntity;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createGame();
+    production = game.systems.ProductionSystem;
+    cityEntity = game.createCity(0, 5, 5, 'Thebes');
+    cityEntity.city.production = 10;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('queue', () => {
+    test('queues items the city can build', () => {
+      const result = production.queueItem(cityEntity.id, 'warrior');
+
+      expect(result).toEqual({ success: true, item: 'warrior', queue: ['warrior'] });
+    });
+
+    test('refuses units whose technology is missing', () => {
+      expect(production.queueItem(cityEntity.id, 'archer').success).toBe(false);
+      expect(cityEntity.city.productionQueue).toEqual([]);
+    });
+
+    test('removes queued items', () => {
+      production.queueItem(cityEntity.id, 'warrior');
+
+      expect(production.dequeueItem(cityEntity.id, 'warrior').queue).toEqual([]);
+      expect(production.dequeueItem(cityEntity.id, 'warrior').success).toBe(false);
+    });
+  });
+
+  describe('processCityProduction', () => {
+    test('banks nothing while the queue is empty', () => {
+      expect(production.processCityProduction(cityEntity)).toBeNull();
+      expect(cityEntity.city.productionStored).toBe(0);
+    });
+
+    test('adds production to the head of the queue until it is paid for', () => {
+      production.queueItem(cityEntity.id, 'warrior');
+      const perTurn = production.getProductionPerTurn(cityEntity);
+
+      expect(production.processCityProduction(cityEntity)).toBeNull();
+      expect(cityEntity.city.productionStored).toBe(perTurn);
+      expect(cityEntity.city.productionQueue).toEqual(['warrior']);
+    });
+
+    test('completes the head of the queue and carries the overflow over', () => {
+      const completed = jest.fn();
+      game.events.on('production_completed', completed);
+      production.queueItem(cityEntity.id, 'warrior');
+      production.queueItem(cityEntity.id, 'warrior');
+      cityEntity.city.productionStored = 25;
+      const perTurn = production.getProductionPerTurn(cityEntity);
+      const cost = production.getItemCost('warrior');
+
+      const report = production.processCityProduction(cityEntity);
+
+      expect(report).toMatchObject({ playerId: 0, cityId: cityEntity.id, item: 'warrior', category: 'unit' });
+      expect(cityEntity.city.productionStored).toBe(25 + perTurn - cost);
+      expect(cityEntity.city.productionQueue).toEqual(['warrior']);
+      expect(completed).toHaveBeenCalledWith(report);
+
+      const unit = game.getEntityById(report.entityId);
+      expect(unit.unit).toMatchObject({ type: 'warrior', owner: 0 });
+      expect(unit.position).toMatchObject({ x: 5, y: 5 });
+    });
+
+    test('completes at most one item per turn', () => {
+      production.queueItem(cityEntity.id, 'warrior');
+      production.queueItem(cityEntity.id, 'warrior');
+      cityEntity.city.productionStored = 100;
+
+      production.processCityProduction(cityEntity);
+
+      expect(cityEntity.city.productionQueue).toEqual(['warrior']);
+    });
+  });
+
+  describe('player requests', () => {
+    test('queue and dequeue items in the requesting player\'s city on their turn', () => {
+      game.handlePlayerAction({ type: 'queue_production', cityId: cityEntity.id, item: 'warrior' }, 0);
+      expect(cityEntity.city.productionQueue).toEqual(['warrior']);
+
+      game.handlePlayerAction({ type: 'dequeue_production', cityId: cityEntity.id, item: 'warrior' }, 0);
+      expect(cityEntity.city.productionQueue).toEqual([]);
+    });
+
+    test('leave other players\' cities alone', () => {
+      game.handlePlayerAction({ type: 'queue_production', cityId: cityEntity.id, item: 'warrior' }, 1);
+
+      expect(cityEntity.city.productionQueue).toEqual([]);
+    });
+
+    test('wait for the owner\'s turn', () => {
+      production.queueItem(cityEntity.id, 'warrior');
+      game.gameState.currentTurn = 1;
+
+      game.handlePlayerAction({ type: 'dequeue_production', cityId: cityEntity.id, item: 'warrior' }, 0);
+
+      expect(cityEntity.city.productionQueue).toEqual(['warrior']);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const EventEmitter = require('events');
+const Rules = require('../src/utils/RulesRegistry');
+const Player = require('../src/components/Player');
+const createResearchSystem = require('../src/systems/ResearchSystem');
+
+describe('ResearchSystem.processTurn', () => {
+  let game;
+  let research;
+  let player;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    player = new Player(0, 'Alice', '#FF0000', 'egyptian');
+    player.researchTechnology('mining');
+    player.resources.science = 0;
+
+    game = {
+      Rules,
+      events: new EventEmitter(),
+      gameState: { players: [player] },
+      entities: []
+    };
+    research = createResearchSystem(game);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does nothing without a research target', () => {
+    player.resources.science = 40;
+
+    expect(research.processTurn(player)).toBeNull();
+    expect(player.resources.science).toBe(40);
+  });
+
+  test('pours science into the current research until it is complete', () => {
+    expect(research.setResearch(player.id, 'bronze_working').success).toBe(true);
+
+    player.resources.science = 50;
+    expect(research.processTurn(player)).toBeNull();
+    expect(player.techProgress.bronze_working).toBe(50);
+    expect(player.resources.science).toBe(0);
+
+    player.resources.science = 45;
+    expect(research.processTurn(player)).toBe('bronze_working');
+    expect(player.hasTechnology('bronze_working')).toBe(true);
+    expect(player.currentResearch).toBeNull();
+  });
+
+  test('carries overflow science over to the next research', () => {
+    research.setResearch(player.id, 'bronze_working');
+    player.resources.science = 100;
+
+    research.processTurn(player);
+
+    expect(player.resources.science).toBe(20);
+  });
+
+  test('applies the technology effects and announces it', () => {
+    const researched = jest.fn();
+    game.events.on('technology_researched', researched);
+    const productionBonus = player.modifiers.resources.production;
+
+    research.setResearch(player.id, 'bronze_working');
+    player.resources.science = 80;
+    research.processTurn(player);
+
+    expect(Rules.isUnitAvailableTo(player, 'spearman')).toBe(true);
+    expect(player.modifiers.resources.production).toBeCloseTo(productionBonus + 0.1);
+    expect(researched).toHaveBeenCalledWith(expect.objectContaining({
+      playerId: player.id,
+      technology: 'bronze_working'
+    }));
+  });
+
+  test('refuses research whose prerequisites are missing', () => {
+    const result = research.setResearch(player.id, 'iron_working');
+
+    expect(result.success).toBe(false);
+    expect(player.currentResearch).toBeNull();
+  });
+});
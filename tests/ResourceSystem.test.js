@@ -0,0 +1,158 @@
+const EventEmitter = require('events');
+const GameEngine = require('../src/game');
+const Tile = require('../src/components/Tile');
+const RandomService = require('../src/utils/RandomService');
+
+/**
+ * A game with two players on an all-grass map, without the renderer or server
+ */
+function createGame() {
+  const game = Object.create(GameEngine.prototype);
+  game.gameState = { players: [], currentTurn: 0, map: null, isRunning: true };
+  game.events = new EventEmitter();
+  game.entities = [];
+  game.entityIdCounter = 0;
+  game.components = {
+    Position: require('../src/components/Position'),
+    Unit: require('../src/components/Unit'),
+    Player: require('../src/components/Player'),
+    City: require('../src/components/City')
+  };
+  game.random = new RandomService('upkeep');
+  game.Rules = require('../src/utils/RulesRegistry');
+  game.GridTopology = require('../src/utils/GridTopology');
+
+  game.systems = {};
+  const systems = [
+    'ResearchSystem',
+    'CivilizationSystem',
+    'ResourceSystem',
+    'VisibilitySystem',
+    'ProductionSystem',
+    'GovernorSystem',
+    'TerritorySystem'
+  ];
+  for (const name of systems) {
+    game.systems[name] = require(`../src/systems/${name}`)(game);
+  }
+
+  game.gameState.map = Array.from({ length: 12 }, (_, x) =>
+    Array.from({ length: 12 }, (_, y) => {
+      const tile = new Tile(x, y);
+      tile.setType('grass');
+      return tile;
+    })
+  );
+  game.setupGrid();
+
+  game.addPlayer('Alice', 'egyptian');
+  game.addPlayer('Bob', 'greek');
+  return game;
+}
+
+describe('ResourceSystem.resolveBankruptcy', () => {
+  let game;
+  let resources;
+  let player;
+  let cityEntity;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createGame();
+    resources = game.systems.ResourceSystem;
+    player = game.gameState.players[0];
+
+    // One city supports two units for free and earns no gold of its own
+    cityEntity = game.createCity(0, 5, 5, 'Thebes');
+    cityEntity.city.gold = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves a solvent player alone', () => {
+    game.createUnit(0, 'cavalry', 4, 4);
+    game.createUnit(0, 'warrior', 4, 5);
+    game.createUnit(0, 'warrior', 4, 6);
+    player.resources.gold = 10;
+    const bankruptcy = jest.fn();
+    game.events.on('bankruptcy', bankruptcy);
+
+    const income = resources.resolveBankruptcy(player);
+
+    expect(income.total.gold).toBe(-1);
+    expect(player.units).toHaveLength(3);
+    expect(bankruptcy).not.toHaveBeenCalled();
+  });
+
+  test('disbands the most expensive, then newest, units first', () => {
+    const warriors = [game.createUnit(0, 'warrior', 4, 4), game.createUnit(0, 'warrior', 4, 5)];
+    const cavalry = game.createUnit(0, 'cavalry', 4, 6);
+    const swordsman = game.createUnit(0, 'swordsman', 6, 6);
+    player.resources.gold = 0;
+    const bankruptcy = jest.fn();
+    game.events.on('bankruptcy', bankruptcy);
+
+    const income = resources.resolveBankruptcy(player);
+
+    expect(income.total.gold).toBe(0);
+    expect(player.units).toEqual(warriors.map(entity => entity.id));
+    expect(game.getEntityById(cavalry.id)).toBeUndefined();
+    expect(bankruptcy).toHaveBeenCalledWith({
+      playerId: 0,
+      disbanded: [
+        { unitId: swordsman.id, type: 'swordsman' },
+        { unitId: cavalry.id, type: 'cavalry' }
+      ],
+      sold: []
+    });
+  });
+
+  test('sells the most expensive building once no unit costs upkeep', () => {
+    cityEntity.city.addBuilding('monument');
+    cityEntity.city.addBuilding('workshop');
+    player.resources.gold = -1;
+
+    const income = resources.resolveBankruptcy(player);
+
+    expect(cityEntity.city.buildings).toEqual(['monument']);
+    expect(player.resources.gold).toBe(34);
+    expect(income.total.gold).toBe(-1);
+  });
+
+  test('stops when there is nothing left to cut', () => {
+    player.resources.gold = -50;
+
+    const income = resources.resolveBankruptcy(player);
+
+    expect(income.total.gold).toBe(0);
+    expect(player.resources.gold).toBe(-50);
+  });
+});
+
+describe('ResourceSystem.calculateTurnIncome', () => {
+  let game;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    game = createGame();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the food and production cities spend on themselves out of the player total', () => {
+    const cityEntity = game.createCity(0, 5, 5, 'Thebes');
+    cityEntity.city.processTurn(game.gameState.map, game.gameState.players[0]);
+
+    const income = game.systems.ResourceSystem.calculateTurnIncome(game.gameState.players[0]);
+
+    expect(income.cities[0].total.food).toBeGreaterThan(0);
+    expect(income.cities[0].total.production).toBeGreaterThan(0);
+    expect(income.total.food).toBe(0);
+    expect(income.total.production).toBe(0);
+  });
+});
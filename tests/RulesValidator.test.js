@@ -0,0 +1,87 @@
+const Rules = require('../src/utils/RulesRegistry');
+const RulesValidator = require('../src/utils/RulesValidator');
+
+/**
+ * Rules whose listed files are replaced, leaving the shipped rules untouched
+ */
+function withRules(overrides) {
+  return Object.assign(Object.create(Rules), overrides);
+}
+
+describe('RulesValidator', () => {
+  test('warns about civilization effects the game cannot apply yet', () => {
+    const validator = new RulesValidator(Rules);
+    validator.validate();
+
+    expect(validator.warnings).toEqual(expect.arrayContaining([
+      expect.stringContaining('roman.unique_ability.effect.type "road_bonus"'),
+      expect.stringContaining('french.unique_ability.effect.value.great_people_bonus')
+    ]));
+  });
+
+  test('reports unknown upgrade targets and upgrades to the unit itself', () => {
+    const units = {
+      ...Rules.units,
+      warrior: { ...Rules.units.warrior, upgrades_to: [' pikeman', 'warrior'] }
+    };
+
+    const errors = new RulesValidator(withRules({ units })).validate();
+
+    expect(errors).toContain('units.json: warrior.upgrades_to[0] references unknown unit " pikeman"');
+    expect(errors).toContain('units.json: warrior.upgrades_to[1] upgrades to itself');
+  });
+
+  test('reports unknown technology prerequisites and prerequisite cycles', () => {
+    const technologies = {
+      ...Rules.technologies,
+      mining: { ...Rules.technologies.mining, prerequisites: ['bronze_working'] },
+      archery: { ...Rules.technologies.archery, prerequisites: ['pottery'] }
+    };
+
+    const errors = new RulesValidator(withRules({ technologies })).validate();
+
+    expect(errors).toContain('technologies.json: archery.prerequisites[0] references unknown technology "pottery"');
+    expect(errors.some(error => error.startsWith('technologies.json: prerequisite cycle'))).toBe(true);
+  });
+
+  test('reports units unlocked by a technology other than their required one', () => {
+    const technologies = {
+      ...Rules.technologies,
+      archery: {
+        ...Rules.technologies.archery,
+        effects: [{ type: 'unlock_unit', unit: 'swordsman' }]
+      }
+    };
+
+    const errors = new RulesValidator(withRules({ technologies })).validate();
+
+    expect(errors).toContain('technologies.json: archery.effects[0] unlocks "swordsman" but units.json requires "iron_working"');
+  });
+
+  test('reports broken civilization references and unknown effect types', () => {
+    const civilizations = {
+      ...Rules.civilizations,
+      roman: {
+        ...Rules.civilizations.roman,
+        unique_unit: 'legion',
+        starting_technologies: ['sailing'],
+        preferred_terrain: ['swamp'],
+        unique_ability: { name: 'Test', effect: { type: 'teleport', value: 1 } }
+      }
+    };
+
+    const errors = new RulesValidator(withRules({ civilizations })).validate();
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'civilizations.json: roman.unique_unit references unknown unit "legion"',
+      'civilizations.json: roman.starting_technologies[0] references unknown technology "sailing"',
+      expect.stringContaining('roman.preferred_terrain[0]'),
+      'civilizations.json: roman.unique_ability.effect.type "teleport" is not a known civilization effect'
+    ]));
+  });
+
+  test('formats errors as a readable list', () => {
+    expect(RulesValidator.formatErrors(['first', 'second']))
+      .toBe('Rule files contain 2 error(s):\n  - first\n  - second');
+  });
+});
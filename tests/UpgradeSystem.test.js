@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const GameEngine = require('../src/game');
+const Tile = require('../src/components/Tile');
+const RandomService = require('../src/utils/RandomService');
+
+/**
+ * A game with two players on an all-grass map, without the renderer or server
+ */
+function createGame() {
+  const game = Object.create(GameEngine.prototype);
+  game.gameState = { players: [], currentTurn: 0, map: null, isRunning: true };
+  game.events = new EventEmitter();
+  game.entities = [];
+  game.entityIdCounter = 0;
+  game.components = {
+    Position: require('../src/components/Position'),
+    Unit: require('../src/components/Unit'),
+    Player: require('../src/components/Player'),
+    City: require('../src/components/City')
+  };
+  game.random = new RandomService('upgrades');
+  game.Rules = require('../src/utils/RulesRegistry');
+  game.GridTopology = require('../src/utils/GridTopology');
+
+  game.systems = {};
+  const systems = [
+    'ResearchSystem',
+    'CivilizationSystem',
+    'ResourceSystem',
+    'VisibilitySystem',
+    'ProductionSystem',
+    'GovernorSystem',
+    'TerritorySystem',
+    'PromotionSystem',
+    'UpgradeSystem'
+  ];
+  for (const name of systems) {
+    game.systems[name] = require(`../src/systems/${name}`)(game);
+  }
+
+  game.gameState.map = Array.from({ length: 12 }, (_, x) =>
+    Array.from({ length: 12 }, (_, y) => {
+      const tile = new Tile(x, y);
+      tile.setType('grass');
+      return tile;
+    })
+  );
+  game.setupGrid();
+
+  game.addPlayer('Alice', 'egyptian');
+  game.addPlayer('Bob', 'greek');
+  return game;
+}
+
+describe('UpgradeSystem', () => {
+  let game;
+  let upgrades;
+  let player;
+  let warrior;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createGame();
+    upgrades = game.systems.UpgradeSystem;
+    player = game.gameState.players[0];
+
+    game.createCity(0, 5, 5, 'Thebes');
+    game.systems.ResearchSystem.grantTechnology(player, 'iron_working');
+    player.resources.gold = 100;
+
+    warrior = game.createUnit(0, 'warrior', 5, 6);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('charges twice the production difference, but at least a minimum', () => {
+    expect(upgrades.getUpgradeCost('warrior', 'swordsman')).toBe(30);
+    expect(upgrades.getUpgradeCost('warrior', 'warrior')).toBe(10);
+  });
+
+  test('upgrades a unit in friendly territory, keeping its experience', () => {
+    warrior.unit.level = 2;
+    warrior.unit.experience = 12;
+    warrior.unit.promotions = ['shock'];
+    warrior.unit.health = warrior.unit.maxHealth / 2;
+    const upgraded = jest.fn();
+    game.events.on('unit_upgraded', upgraded);
+
+    const result = upgrades.upgradeUnit(warrior.id, 'swordsman');
+
+    expect(result).toEqual({ success: true, unitId: warrior.id, unitType: 'swordsman', cost: 30 });
+    expect(player.resources.gold).toBe(70);
+    expect(warrior.unit).toMatchObject({
+      type: 'swordsman',
+      owner: 0,
+      level: 2,
+      experience: 12,
+      promotions: ['shock'],
+      health: warrior.unit.maxHealth / 2,
+      movement: 0,
+      actionsRemaining: 0
+    });
+    expect(upgraded).toHaveBeenCalledWith({ playerId: 0, unitId: warrior.id, from: 'warrior', to: 'swordsman', cost: 30 });
+  });
+
+  test('refuses upgrades outside friendly territory', () => {
+    warrior.position.set(11, 11);
+
+    expect(upgrades.upgradeUnit(warrior.id, 'swordsman')).toEqual({
+      success: false,
+      error: 'Units can only upgrade in friendly territory'
+    });
+    expect(warrior.unit.type).toBe('warrior');
+  });
+
+  test('refuses upgrades the player cannot afford', () => {
+    player.resources.gold = 29;
+
+    expect(upgrades.upgradeUnit(warrior.id, 'swordsman')).toEqual({
+      success: false,
+      error: 'Upgrading to swordsman costs 30 gold'
+    });
+    expect(player.resources.gold).toBe(29);
+  });
+
+  test('refuses upgrades off the upgrade path or without the technology', () => {
+    expect(upgrades.upgradeUnit(warrior.id, 'cavalry').success).toBe(false);
+
+    const archer = game.createUnit(0, 'archer', 6, 5);
+    expect(upgrades.getUpgradeOptions(archer).every(option => !option.success)).toBe(true);
+  });
+
+  test('refuses upgrades when it is not the owner\'s turn', () => {
+    game.gameState.currentTurn = 1;
+
+    expect(upgrades.upgradeUnit(warrior.id, 'swordsman').success).toBe(false);
+    expect(warrior.unit.type).toBe('warrior');
+  });
+});